@@ -0,0 +1,333 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const path = require('path');
+const TwistConfiguration = require('./TwistConfiguration');
+const PathAliases = require('./internal/PathAliases');
+
+const USAGE = `\
+Usage: twist-config <command> [options]
+
+Commands:
+    print       Print the resolved Twist options, aliases, auto-imports and Babel plugins/presets
+    libraries   List the libraries that were loaded, and which library loaded them
+    doctor      Check for missing .twistrc files, library version conflicts, collisions and unresolved modules
+    babelrc     Write the Babel plugins/presets to a standalone .babelrc (or babel.config.js) file
+    types       Write TypeScript declarations for the auto-imported components and decorators
+
+Options:
+    --context <name>    The context to load the configuration for (default: node)
+    --root <dir>        The root directory of the application (default: the current directory)
+    --json              Output JSON instead of human-readable text
+    --out <file>        The file for babelrc or types to write (default: .babelrc or twist.d.ts in the root directory)
+    --check             Check that the babelrc file is up to date, rather than writing it
+    --watch             Keep the types file up to date as the configuration changes
+`;
+
+/**
+ * Parse the command-line arguments (not including node and the script name).
+ * @param {string[]} args
+ * @return {{ command: string, context: string, root: string, json: boolean, out: string, check: boolean, watch: boolean }}
+ */
+function parseArgs(args) {
+    const result = { command: undefined, context: 'node', root: process.cwd(), json: false, out: undefined, check: false, watch: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--json' || arg === '--check' || arg === '--watch') {
+            result[arg.slice(2)] = true;
+        }
+        else if (arg === '--context' || arg === '--root' || arg === '--out') {
+            const value = args[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            result[arg.slice(2)] = arg === '--context' ? value : path.resolve(value);
+        }
+        else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        }
+        else if (!result.command) {
+            result.command = arg;
+        }
+        else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Get a printable name for a Babel plugin or preset, which may be a string or a module.
+ */
+function describeModule(mod) {
+    if (typeof mod === 'string') {
+        return mod;
+    }
+    return (mod && mod.name) ? `[${typeof mod} ${mod.name}]` : `[${typeof mod}]`;
+}
+
+/**
+ * JSON.stringify replacer that turns modules (functions) into a description, since they can't be serialized.
+ */
+function jsonReplacer(key, value) {
+    return typeof value === 'function' ? describeModule(value) : value;
+}
+
+function indent(text) {
+    return text.split('\n').map(line => line && '    ' + line).join('\n');
+}
+
+function formatSection(title, lines) {
+    return title + ':\n' + indent(lines.length ? lines.join('\n') : '(none)') + '\n';
+}
+
+function formatPlugins(plugins) {
+    return plugins.map(plugin => {
+        const options = plugin[1] && Object.keys(plugin[1]).length ? ' ' + JSON.stringify(plugin[1], jsonReplacer) : '';
+        return describeModule(plugin[0]) + options;
+    });
+}
+
+/**
+ * Return true if `moduleName` can be resolved from `root` (or is one of the loaded libraries).
+ */
+function canResolve(moduleName, root, config) {
+    if (config.libraryLocations[moduleName] || PathAliases.resolve(config.twistOptions.aliases, moduleName)) {
+        return true;
+    }
+    try {
+        require.resolve(moduleName, { paths: [ root ] });
+        return true;
+    }
+    catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Implementation of the `twist-config` command-line tool, for inspecting the resolved Twist configuration.
+ */
+module.exports = class Cli {
+
+    /**
+     * Run the command-line tool.
+     * @param {string[]} args The command-line arguments (not including node and the script name)
+     * @param {function(string)} write Function to write output to
+     * @return {Promise<number>} The exit code
+     */
+    static async run(args, write) {
+        let options;
+        try {
+            options = parseArgs(args);
+        }
+        catch (e) {
+            write(e.message + '\n\n' + USAGE);
+            return 1;
+        }
+
+        switch (options.command) {
+        case 'print':
+            return Cli.print(options, write);
+        case 'libraries':
+            return Cli.libraries(options, write);
+        case 'doctor':
+            return Cli.doctor(options, write);
+        case 'babelrc':
+            return Cli.babelrc(options, write);
+        case 'types':
+            return Cli.types(options, write);
+        default:
+            write((options.command ? `Unknown command ${options.command}\n\n` : '') + USAGE);
+            return options.command ? 1 : 0;
+        }
+    }
+
+    /**
+     * Print the merged options, aliases, auto-imports and Babel plugins/presets.
+     */
+    static async print(options, write) {
+        const config = await TwistConfiguration.create(options.context, { root: options.root });
+        const twistOptions = config.twistOptions;
+        const babelOptions = config.babelOptions;
+        const mergedOptions = Object.assign({}, twistOptions);
+        delete mergedOptions.aliases;
+        delete mergedOptions.autoImport;
+        delete mergedOptions.plugins;
+
+        if (options.json) {
+            write(JSON.stringify({
+                context: config.context,
+                options: mergedOptions,
+                aliases: twistOptions.aliases,
+                autoImport: twistOptions.autoImport,
+                babel: babelOptions
+            }, jsonReplacer, 2) + '\n');
+            return 0;
+        }
+
+        write([
+            `Twist configuration for context "${config.context}" in ${options.root}\n`,
+            formatSection('Options', Object.keys(mergedOptions).map(name => `${name}: ${JSON.stringify(mergedOptions[name], jsonReplacer)}`)),
+            formatSection('Aliases', Object.keys(twistOptions.aliases).map(name => `${name} -> ${twistOptions.aliases[name]}`)),
+            formatSection('Auto imports', Object.keys(twistOptions.autoImport).map(name => {
+                const item = twistOptions.autoImport[name];
+                return `${name} -> ${item.module}#${item.export}`;
+            })),
+            formatSection('Babel plugins', formatPlugins(babelOptions.plugins)),
+            formatSection('Babel presets', formatPlugins(babelOptions.presets))
+        ].join('\n'));
+        return 0;
+    }
+
+    /**
+     * List the libraries loaded by the LibraryLoader.
+     */
+    static async libraries(options, write) {
+        const config = await TwistConfiguration.create(options.context, { root: options.root });
+        const describeLibrary = library => ({
+            name: library.name,
+            version: library.version,
+            path: library.path,
+            configFile: library.configFile,
+            loadedBy: library.parentLibrary && library.parentLibrary.name
+        });
+        const libraries = config._libraryLoader.libraryInfos.map(describeLibrary);
+        const deduplicated = config._libraryLoader.deduplicatedLibraries.map(item => Object.assign(describeLibrary(item.library), {
+            deduplicated: true,
+            usedVersion: item.usedLibrary.version
+        }));
+
+        if (options.json) {
+            write(JSON.stringify(libraries.concat(deduplicated), null, 2) + '\n');
+            return 0;
+        }
+
+        write(formatSection('Libraries', libraries.map(library =>
+            `${library.name} ${library.version} (${library.path}), loaded by ${library.loadedBy}`
+        )));
+        if (deduplicated.length) {
+            write('\n' + formatSection('Deduplicated', deduplicated.map(library =>
+                `${library.name} ${library.version} (${library.path}), loaded by ${library.loadedBy} - using ${library.usedVersion} instead`
+            )));
+        }
+        return 0;
+    }
+
+    /**
+     * Check the configuration for problems. Returns a non-zero exit code if any problems are found.
+     */
+    static async doctor(options, write) {
+        const problems = [];
+        let config;
+
+        // Version conflicts (and other errors loading libraries) prevent the configuration from loading at all.
+        const warn = console.warn;
+        console.warn = () => {}; // Missing .twistrc files and collisions are reported below
+        try {
+            config = await TwistConfiguration.create(options.context, { root: options.root });
+        }
+        catch (e) {
+            problems.push({ type: 'load-error', message: e.message.trim() });
+        }
+        finally {
+            console.warn = warn;
+        }
+
+        if (config) {
+            config._libraryLoader.libraryInfos.forEach(library => {
+                if (!library.configFile) {
+                    problems.push({ type: 'missing-twistrc', message: `${library.name} (${library.path}) has no .twistrc file` });
+                }
+            });
+
+            config._conflicts.forEach(conflict => {
+                problems.push({ type: 'collision', message: conflict });
+            });
+
+            const autoImport = config.twistOptions.autoImport;
+            Object.keys(autoImport).forEach(name => {
+                const modules = new Set([ autoImport[name].module ]);
+                if (autoImport[name].inherits) {
+                    modules.add(autoImport[name].inherits.module);
+                }
+                modules.forEach(moduleName => {
+                    if (!canResolve(moduleName, options.root, config)) {
+                        problems.push({ type: 'unresolved-module', message: `${name} refers to ${moduleName}, which can't be resolved` });
+                    }
+                });
+            });
+
+            config.twistOptions.plugins.forEach(plugin => {
+                const name = plugin[0];
+                if (typeof name === 'string' && !canResolve(name, options.root, config)
+                    && !canResolve('babel-plugin-' + name, options.root, config)) {
+                    problems.push({ type: 'unresolved-module', message: `Babel plugin ${name} can't be resolved` });
+                }
+            });
+        }
+
+        if (options.json) {
+            write(JSON.stringify({ problems }, null, 2) + '\n');
+        }
+        else if (problems.length) {
+            write(formatSection('Problems', problems.map(problem => `[${problem.type}] ${problem.message}`)));
+        }
+        else {
+            write('No problems found.\n');
+        }
+        return problems.length ? 1 : 0;
+    }
+
+    /**
+     * Write a standalone Babel configuration file, or check that it's up to date (returning a non-zero exit code
+     * if it isn't).
+     */
+    static async babelrc(options, write) {
+        const config = await TwistConfiguration.create(options.context, { root: options.root });
+        const file = options.out || path.join(options.root, '.babelrc');
+
+        if (options.check) {
+            if (config.isBabelConfigUpToDate(file)) {
+                write(`${file} is up to date.\n`);
+                return 0;
+            }
+            write(`${file} is out of date - run twist-config babelrc to update it.\n`);
+            return 1;
+        }
+
+        config.writeBabelConfig(file);
+        write(`Wrote ${file}\n`);
+        return 0;
+    }
+
+    /**
+     * Write TypeScript declarations for the auto-imported components and decorators. With --watch, keeps running,
+     * and updates them whenever the configuration changes.
+     */
+    static async types(options, write) {
+        const config = await TwistConfiguration.create(options.context, { root: options.root });
+        const file = options.out || path.join(options.root, 'twist.d.ts');
+
+        if (!options.watch) {
+            config.writeTypeDeclarations(file);
+            write(`Wrote ${file}\n`);
+            return 0;
+        }
+
+        const watcher = config.watch({ typeDeclarations: file });
+        watcher.on('change', () => write('Reloaded the configuration\n'));
+        watcher.on('error', err => write(`Failed to reload the configuration: ${err.message}\n`));
+        write(`Wrote ${file} - watching for changes...\n`);
+        return 0;
+    }
+};
@@ -0,0 +1,89 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const ParserOptions = require('./internal/ParserOptions');
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Builds an ESLint configuration that matches the Twist compiler setup: the parser accepts the same syntax as
+ * ParserOptions, and the components and decorators that the Twist plugin auto-imports are known globals (so that
+ * `no-undef` doesn't report them). eslint-plugin-react's `react/jsx-no-undef` ignores globals unless its `allowGlobals`
+ * option is set, so pass `{ react: true }` if you use that plugin. See also src/eslintrc.js, a shareable configuration
+ * for the Twist configuration of the current directory.
+ *
+ * @example
+ * // .eslintrc.js
+ * const config = new TwistConfiguration('node');
+ * module.exports = Object.assign(EslintConfig.build(config, { react: true }), { plugins: [ 'react' ] });
+ */
+module.exports = class EslintConfig {
+
+    /**
+     * Build the ESLint configuration (the `parser`, `parserOptions` and `globals` sections, and the `rules` that need
+     * to know about the globals).
+     * @param {TwistConfiguration} config
+     * @param {object} [options]
+     * @param {boolean} [options.react] Whether eslint-plugin-react is used (default: false).
+     * @return {object}
+     */
+    static build(config, options = {}) {
+        const parserOptions = {
+            sourceType: 'module',
+            allowImportExportEverywhere: true,
+            ecmaFeatures: {
+                jsx: true
+            }
+        };
+
+        // babel-eslint (for Babel 6) always enables the parser plugins we need, but the Babel 7 parser needs to be
+        // told about them.
+        const babel7 = config.getOption('babelVersion') === 7;
+        if (babel7) {
+            parserOptions.requireConfigFile = false;
+            parserOptions.babelOptions = {
+                parserOpts: {
+                    plugins: ParserOptions.getParserPlugins(7)
+                }
+            };
+        }
+
+        const eslintConfig = {
+            parser: babel7 ? '@babel/eslint-parser' : 'babel-eslint',
+            parserOptions,
+            globals: EslintConfig.globals(config)
+        };
+        if (options.react) {
+            eslintConfig.rules = {
+                'react/jsx-no-undef': [ 'error', { allowGlobals: true } ]
+            };
+        }
+        return eslintConfig;
+    }
+
+    /**
+     * Get the auto-imported names (components and decorators), as ESLint globals that can't be overwritten.
+     * Namespaced component names (e.g. `my:component`) aren't included, since they aren't variables.
+     * @param {TwistConfiguration} config
+     * @return {Object<string, boolean>}
+     */
+    static globals(config) {
+        const globals = {};
+        Object.keys(config.twistOptions.autoImport).forEach(name => {
+            if (IDENTIFIER.test(name)) {
+                globals[name] = false;
+            }
+        });
+        return globals;
+    }
+};
@@ -0,0 +1,130 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const crypto = require('crypto');
+const babel = require('babel-core');
+const TwistConfiguration = require('./TwistConfiguration');
+
+const BABEL_VERSION = require('babel-core/package.json').version;
+
+/**
+ * Get Jest's root directory from the options passed to the transformer (these vary between versions of Jest).
+ */
+function getRootDir(options) {
+    return options && (options.rootDir || (options.config && options.config.rootDir));
+}
+
+/**
+ * A Jest transformer that compiles files with the Babel options of a Twist configuration. To use it, add it to the
+ * `transform` section of your Jest configuration - you can pass it the `root` (default: Jest's `rootDir`) and `context`
+ * (default: "node") of the configuration, as well as any other options:
+ *
+ * @example
+ * "transform": {
+ *     "^.+\\.jsx?$": [ "@twist/configuration/src/JestTransformer", { "context": "test" } ]
+ * }
+ */
+class JestTransformer {
+
+    /**
+     * @param {object} [options] The options of the Twist configuration, along with its `context`.
+     */
+    constructor(options = {}) {
+        this.context = options.context || 'node';
+        this.options = Object.assign({}, options);
+        delete this.options.context;
+        this._config = undefined;
+        this._configCacheKey = undefined;
+    }
+
+    /**
+     * Get the Twist configuration, which is loaded the first time that it's needed.
+     * @param {string} [rootDir] Jest's root directory, which `<rootDir>` in the root option refers to.
+     * @return {TwistConfiguration}
+     */
+    getConfig(rootDir) {
+        if (!this._config) {
+            let root = this.options.root;
+            if (root === undefined) {
+                root = rootDir;
+            }
+            else if (typeof root === 'string' && rootDir) {
+                root = root.replace('<rootDir>', rootDir);
+            }
+            this._config = new TwistConfiguration(this.context, Object.assign({}, this.options, { root }));
+            this._configCacheKey = this._config.cacheKey;
+        }
+        return this._config;
+    }
+
+    /**
+     * Get the Twist configuration, reloading it first if any of its files changed since it was loaded (e.g. when Jest
+     * runs in watch mode), so that we never compile a file with an older configuration than its cache key describes.
+     * @param {string} [rootDir]
+     * @return {TwistConfiguration}
+     */
+    _getCurrentConfig(rootDir) {
+        const config = this.getConfig(rootDir);
+        if (config.cacheKey !== this._configCacheKey) {
+            config.reload();
+            this._configCacheKey = config.cacheKey;
+        }
+        return config;
+    }
+
+    /**
+     * Jest calls this to create a transformer with the options from its configuration.
+     * @param {object} [options]
+     * @return {JestTransformer}
+     */
+    createTransformer(options) {
+        return new JestTransformer(options);
+    }
+
+    /**
+     * Compile a file.
+     * @return {{ code: string, map: object }}
+     */
+    process(src, filename, jestConfig) {
+        const result = babel.transform(src, Object.assign({}, this._getCurrentConfig(getRootDir(jestConfig)).babelOptions, {
+            filename,
+            babelrc: false,
+            sourceMaps: true
+        }));
+        return { code: result.code, map: result.map };
+    }
+
+    /**
+     * Get a key for Jest to cache the compiled file with. This covers the file, the Jest configuration, and the Twist
+     * configuration - i.e. all of the loaded configuration files, library versions and options - so the cache is
+     * invalidated if any of them change.
+     *
+     * Older versions of Jest call this as `getCacheKey(src, filename, configString, { instrument })`, and newer ones as
+     * `getCacheKey(src, filename, { configString, instrument })`.
+     * @return {string}
+     */
+    getCacheKey(src, filename, configString, options) {
+        if (typeof configString !== 'string') {
+            options = configString;
+            configString = options && options.configString;
+        }
+        this._getCurrentConfig(getRootDir(options));
+        return crypto.createHash('sha1')
+            .update(JSON.stringify([ BABEL_VERSION, this._configCacheKey, filename, configString, !!(options && options.instrument) ]))
+            .update('\0')
+            .update(src)
+            .digest('hex');
+    }
+}
+
+module.exports = new JestTransformer();
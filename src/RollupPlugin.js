@@ -0,0 +1,85 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const fs = require('fs');
+const path = require('path');
+const babel = require('babel-core');
+const TwistConfiguration = require('./TwistConfiguration');
+const PathAliases = require('./internal/PathAliases');
+
+const MODULE_TRANSFORMS = [ 'transform-es2015-modules-commonjs', '@babel/plugin-transform-modules-commonjs' ];
+
+/**
+ * Resolve an aliased import to a file, like require.resolve() but also looking for .jsx files.
+ * @return {string|null}
+ */
+function resolveFile(file) {
+    try {
+        return require.resolve(file);
+    }
+    catch (e) {
+        return [ file + '.jsx', path.join(file, 'index.jsx') ].find(candidate => fs.existsSync(candidate)) || null;
+    }
+}
+
+/**
+ * A Rollup plugin that transforms modules with the Babel options of a Twist configuration (for the "rollup" context),
+ * and resolves imports of the loaded libraries and path aliases. To keep ES modules for tree-shaking, set the
+ * `transformImports` option to false (e.g. in the `context.rollup.options` section of .twistrc).
+ *
+ * @example
+ * const twist = require('@twist/configuration/src/RollupPlugin');
+ * export default {
+ *     input: 'src/index.jsx',
+ *     plugins: [ twist({ transformImports: false }) ]
+ * };
+ *
+ * @param {object} [options] The options of the Twist configuration, along with its `context` (default: "rollup").
+ * @return {object} The Rollup plugin
+ */
+module.exports = function twistRollupPlugin(options = {}) {
+    const configOptions = Object.assign({}, options);
+    delete configOptions.context;
+    const config = new TwistConfiguration(options.context || 'rollup', configOptions);
+
+    const babelOptions = config.babelOptions;
+    if (config.getOption('transformImports') === false) {
+        // Rollup bundles the modules itself, so we don't need to transform them even in ES5 mode
+        babelOptions.plugins = babelOptions.plugins.filter(plugin => MODULE_TRANSFORMS.indexOf(plugin[0]) === -1);
+    }
+
+    const aliases = config.twistOptions.aliases;
+
+    return {
+        name: 'twist',
+        config,
+
+        resolveId(importee) {
+            const target = PathAliases.resolve(aliases, importee);
+            return target ? resolveFile(target) : null;
+        },
+
+        transform(code, id) {
+            // Libraries are usually in node_modules, but their sources still need to be transformed
+            if (!/\.jsx?$/.test(id) || !config.shouldTransform(id)) {
+                return null;
+            }
+            const result = babel.transform(code, Object.assign({}, babelOptions, {
+                filename: id,
+                babelrc: false,
+                sourceMaps: true
+            }));
+            return { code: result.code, map: result.map };
+        }
+    };
+};
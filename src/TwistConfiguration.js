@@ -11,41 +11,186 @@
  *
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
 const BabelConfig = require('./internal/BabelConfig');
+const BabelConfigFile = require('./internal/BabelConfigFile');
+const BabelPluginIdentity = require('./internal/BabelPluginIdentity');
 const LibraryLoader = require('./internal/LibraryLoader');
+const PathAliases = require('./internal/PathAliases');
+const Provenance = require('./internal/Provenance');
+const TargetsMeta = require('./internal/TargetsMeta');
+const TypeDeclarations = require('./internal/TypeDeclarations');
+const ConfigurationWatcher = require('./internal/ConfigurationWatcher');
+
+// Matches paths that go through a node_modules folder
+const NODE_MODULES_PATH = /(^|[\\/])node_modules([\\/]|$)/;
+
+/**
+ * @typedef {object} OptionDefinition
+ * @property {string|string[]} [type] The type(s) of the option's value: boolean, string, number, object, array or function.
+ * @property {*} [default] The default value of the option.
+ * @property {Array} [values] The allowed values of the option.
+ * @property {string} [description] A description of the option.
+ */
 
-const DEFAULT_OPTIONS = {
-    includeBabelRuntime: false,
-    jsxSourceLines: false,
-
-    polyfill: true,
-    regenerator: false,
-    targets: { node: 'current' },
-    transformImports: true,
-    useBabelModuleResolver: true,
+/** @type {Object<string, OptionDefinition>} */
+const DEFAULT_OPTION_DEFINITIONS = {
+    babelVersion: { type: 'number', default: 6, values: [ 6, 7 ], description: 'The major version of Babel to generate babelOptions for.' },
+    includeBabelRuntime: { type: 'boolean', default: false, description: 'Include Babel runtime.' },
+    jsxSourceLines: { type: 'boolean', default: false, description: 'Include source line information in compiled JSX.' },
+
+    polyfill: { type: 'boolean', default: true, description: 'Include Babel polyfill (if including Babel runtime).' },
+    regenerator: { type: 'boolean', default: false, description: 'Include Babel regenerator (if including Babel runtime).' },
+    strict: { type: 'boolean', default: false, description: 'Throw an error (rather than warn) if unrelated libraries define the same component or decorator.' },
+    targets: { type: 'object', default: { node: 'current' }, description: 'A babel-preset-env `targets` configuration.' },
+    targetProfiles: { type: 'object', description: 'Named babel-preset-env `targets` configurations for differential builds (see getBabelOptionsByProfile()).' },
+    transformImports: { type: 'boolean', default: true, description: 'Transforms imports to CommonJS requires.' },
+    twistPlugin: { type: [ 'string', 'function', 'object' ], description: 'The Twist Babel plugin, if not @twist/babel-plugin-transform.' },
+    useBabelModuleResolver: { type: 'boolean', default: true, description: 'Use the Babel module resolver to resolve imports.' },
 };
 
+// The version of the format of toJSON()
+const JSON_FORMAT_VERSION = 1;
+const PACKAGE_VERSION = require('../package.json').version;
+
+/**
+ * Return the path of the first function found in `value` (e.g. `babelPlugins[0][0]`), or undefined if there isn't one.
+ */
+function findFunction(value, location) {
+    if (typeof value === 'function') {
+        return location;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        for (let i = 0; i < keys.length; i++) {
+            const found = findFunction(value[keys[i]], Array.isArray(value) ? `${location}[${keys[i]}]` : `${location}.${keys[i]}`);
+            if (found) {
+                return found;
+            }
+        }
+    }
+}
+
+/**
+ * JSON.stringify replacer that includes the source of functions, so that they contribute to the cache key.
+ */
+function stringifyFunctions(key, value) {
+    return typeof value === 'function' ? value.toString() : value;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Set while constructing a configuration in create() or fromJSON(), which load the root library themselves.
+let skipRootLibrary = false;
+
+function withoutRootLibrary(callback) {
+    skipRootLibrary = true;
+    try {
+        return callback();
+    }
+    finally {
+        skipRootLibrary = false;
+    }
+}
+
 module.exports = class TwistConfiguration {
 
     /**
      * Create a Twist configuration. A "contextName" describes the specific context in which this configuration is
      * being applied, such as "node" or "webpack". The default context is "node"; other build systems
-     * (like a webpack plugin) may subclass this configuration and provide additional functionality;
-     * libraries should switch on `this.context` to decide how to add any plugins/loaders as necessary.
+     * (like a webpack plugin) may subclass this configuration and provide additional functionality (see WebpackConfig
+     * for the webpack loader rule and aliases); libraries should switch on `this.context` to decide how to add any
+     * plugins/loaders as necessary.
+     *
+     * The configuration can also vary by environment (e.g. "development" or "production"), which is given by the `env`
+     * option, or else the BABEL_ENV or NODE_ENV environment variables (defaulting to "development", like Babel).
      *
      * @param {string} [contextName]
      * @param {object} [options]
-     * @param {object} [env]
      */
     constructor(contextName, options = {}) {
         this._init(contextName, options);
     }
 
+    /**
+     * Create a Twist configuration, loading the configuration of the libraries asynchronously. Unlike the constructor,
+     * this supports `.twistrc.mjs` files, and `.twistrc.js` files that return a Promise.
+     *
+     * @param {string} [contextName]
+     * @param {object} [options]
+     * @return {Promise<TwistConfiguration>}
+     */
+    static async create(contextName, options = {}) {
+        const config = this._createWithoutLibraries(contextName, options);
+        await config._loadRootLibraryAsync();
+        return config;
+    }
+
+    /**
+     * Restore a configuration from the output of `toJSON()`, without loading any libraries. Build tools can check
+     * whether the restored configuration is still up to date by comparing its `cacheKey` with the `cacheKey` in the JSON.
+     *
+     * Note that the history of changes (see `explain()`) isn't restored.
+     *
+     * @param {Object|string} json
+     * @return {TwistConfiguration}
+     */
+    static fromJSON(json) {
+        if (typeof json === 'string') {
+            json = JSON.parse(json);
+        }
+        if (!json || json.formatVersion !== JSON_FORMAT_VERSION) {
+            throw new Error(`Unsupported Twist configuration format ${json && json.formatVersion} - expected ${JSON_FORMAT_VERSION}.`);
+        }
+
+        const config = this._createWithoutLibraries(json.context, json.constructorOptions);
+        config.env = json.env;
+        config._options = json.options;
+        config._optionDefinitions = json.optionDefinitions;
+        config._components = json.components;
+        config._decorators = json.decorators;
+        config._babelPlugins = json.babelPlugins;
+        config._removedBabelPlugins = json.removedBabelPlugins || [];
+        config._replacedBabelPlugins = json.replacedBabelPlugins || [];
+        config._pathAliases = json.pathAliases;
+        config._restoredTargets = json.targets;
+        config._libraryLoader.restore(json.libraries);
+        return config;
+    }
+
+    static _createWithoutLibraries(contextName, options) {
+        return withoutRootLibrary(() => new this(contextName, options));
+    }
+
+    async _loadRootLibraryAsync() {
+        this._loadedAsync = true;
+        if (this._constructorOptions.root !== null) {
+            await this.addLibraryAsync(this._constructorOptions.root || process.cwd());
+        }
+    }
+
     _init(contextName, options) {
         this.context = contextName || 'node';
-
-        // The options that you can configure (these are the default options below):
-        this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.env = options.env || process.env.BABEL_ENV || process.env.NODE_ENV || 'development';
+
+        // The options that you can configure (libraries can define more options, see defineOption()):
+        this._optionDefinitions = Object.assign({}, DEFAULT_OPTION_DEFINITIONS);
+        this._options = {};
+        Object.keys(this._optionDefinitions).forEach(name => {
+            if (this._optionDefinitions[name].hasOwnProperty('default')) {
+                this._options[name] = this._optionDefinitions[name].default;
+            }
+        });
+        Object.assign(this._options, options);
+        this._constructorOptions = options;
 
         // Twist compiler settings
         this._components = {};
@@ -54,18 +199,88 @@ module.exports = class TwistConfiguration {
         /** @property {Array<[ BabelModule, object ]>} */
         this._babelPlugins = [];
 
+        // Changes to the built-in Babel plugins (see removeBabelPlugin() and replaceBabelPlugin())
+        this._removedBabelPlugins = [];
+        this._replacedBabelPlugins = [];
+
         // Path aliases (e.g. mapping an alias to a folder)
         this._pathAliases = {
             'babel-runtime/helpers/inherits': require.resolve('./third_party/inherits')
         };
 
+        // The resolved targets of a configuration restored with fromJSON() (see targets)
+        this._restoredTargets = undefined;
+
+        // Which library made each change to the configuration (see explain())
+        this._provenance = new Provenance();
+        this._configSection = undefined;
+
+        // The conflicts that were warned about (see _reportConflict()), so that tools can report them
+        this._conflicts = [];
+
         this._libraryLoader = new LibraryLoader(this);
 
-        if (options.root !== null) {
+        if (options.root !== null && !skipRootLibrary) {
             this.addLibrary(options.root || process.cwd());
         }
     }
 
+    /**
+     * Reload the configuration from disk, e.g. after a .twistrc file changed. If the configuration was created with
+     * `create()`, it's reloaded asynchronously, and this returns a Promise. If reloading fails, the configuration is
+     * left as it was.
+     *
+     * @return {TwistConfiguration|Promise<TwistConfiguration>}
+     */
+    reload() {
+        // Make sure that we re-evaluate any .twistrc.js files
+        this._libraryLoader.libraryInfos.forEach(library => {
+            if (library.configFile && path.extname(library.configFile) === '.js') {
+                delete require.cache[library.configFile];
+            }
+        });
+
+        if (this._loadedAsync) {
+            // Load into a new configuration, so that this one stays usable (e.g. by a build) until it's finished
+            const reloaded = this.constructor._createWithoutLibraries(this.context, this._constructorOptions);
+            return reloaded._loadRootLibraryAsync().then(() => {
+                Object.assign(this, reloaded);
+                this._libraryLoader.config = this;
+                return this;
+            });
+        }
+
+        const previousState = Object.assign({}, this);
+        const restore = () => {
+            Object.keys(this).forEach(key => delete this[key]);
+            Object.assign(this, previousState);
+        };
+
+        try {
+            this._init(this.context, this._constructorOptions);
+        }
+        catch (err) {
+            restore();
+            throw err;
+        }
+        return this;
+    }
+
+    /**
+     * Watch the configuration files (and package.json) of every loaded library, reloading the configuration when any
+     * of them change. The returned watcher emits a `change` event after reloading, with the list of changes to
+     * `twistOptions`, and an `error` event if reloading failed. Call `close()` on the watcher to stop watching.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.interval] How often to poll the files, in milliseconds
+     * @param {number} [options.delay] How long to wait for further changes before reloading, in milliseconds
+     * @param {string} [options.typeDeclarations] A .d.ts file to write the type declarations to, whenever they change
+     * @return {ConfigurationWatcher}
+     */
+    watch(options) {
+        return new ConfigurationWatcher(this, options);
+    }
+
     /**
      * Get the current library. If not within a library (i.e. not inside an addLibrary() call), returns a
      * root library that has `parentLibrary` set to null.
@@ -87,6 +302,44 @@ module.exports = class TwistConfiguration {
         return libraries;
     }
 
+    /**
+     * Get the source roots of the loaded libraries, i.e. the folders that contain their code (see LibraryInfo).
+     * @return {string[]}
+     */
+    get sourceRoots() {
+        return this._libraryLoader.libraryInfos.reduce((sourceRoots, library) => sourceRoots.concat(library.sourceRoots), []);
+    }
+
+    /**
+     * Check whether a build tool should compile a file with the Twist configuration: files in the source roots of the
+     * loaded libraries are compiled, along with the rest of the application's own files - but nothing else in the
+     * libraries, or in node_modules, since other packages are already compiled.
+     *
+     * @param {string} filename
+     * @return {boolean}
+     */
+    shouldTransform(filename) {
+        filename = path.resolve(filename);
+        const libraries = this._libraryLoader.libraryInfos;
+        if (libraries.some(library => library.containsSource(filename))) {
+            return true;
+        }
+        const rootLibrary = this._getRootLibrary();
+        if (libraries.some(library => library !== rootLibrary && library.contains(filename))) {
+            return false;
+        }
+        if (!rootLibrary) {
+            return !NODE_MODULES_PATH.test(filename);
+        }
+        // The application itself may be inside a node_modules folder, so only look at the path inside the application
+        return rootLibrary.contains(filename) && !NODE_MODULES_PATH.test(path.relative(rootLibrary.path, filename));
+    }
+
+    _getRootLibrary() {
+        // The root library is loaded by the (root), which doesn't have a path
+        return this._libraryLoader.libraryInfos.find(library => library.path && !library.parentLibrary.path);
+    }
+
     /**
      * Utility for array entries in .twistrc - we support either:
      * * A map of key-value pairs
@@ -104,7 +357,7 @@ module.exports = class TwistConfiguration {
                     return;
                 }
                 if (Array.isArray(entry)) {
-                    callback(entry[0], entry[1] || {});
+                    callback(entry[0], entry[1] || {}, entry[2]);
                 }
                 else {
                     callback(entry, {});
@@ -123,12 +376,65 @@ module.exports = class TwistConfiguration {
      * This shouldn't be called directly - it's called as a consequence of _libraryLoader.load().
      *
      * @param {Object} config The configuration from the .twistrc file
+     * @param {string} [section] The section of the .twistrc file that `config` came from (e.g. `context.webpack`)
      */
-    mergeConfig(config = {}) {
-
+    mergeConfig(config = {}, section) {
         // Add sub-libraries first
         this._forEachConfig(config.libraries, this.addLibrary.bind(this));
 
+        this._mergeSection(config, section);
+
+        // Environment-specific configuration - if you've provided additional configuration under env[envname],
+        // we'll add that too (e.g. additional options only for production builds).
+        if (config.env) {
+            this.mergeConfig(config.env[this.env], this._subSection(section, 'env', this.env));
+        }
+
+        // Contextual configuration - if you've provided additional configuration under context[contextname],
+        // we'll add that too (e.g. additional options only for a webpack environment). This can have its own
+        // environment-specific configuration, e.g. `context.webpack.env.production`.
+        if (config.context) {
+            this.mergeConfig(config.context[this.context], this._subSection(section, 'context', this.context));
+        }
+    }
+
+    /**
+     * Asynchronous version of `mergeConfig()`, called as a consequence of _libraryLoader.loadAsync().
+     *
+     * @param {Object} config The configuration from the .twistrc file
+     * @param {string} [section] The section of the .twistrc file that `config` came from (e.g. `context.webpack`)
+     * @return {Promise}
+     */
+    async mergeConfigAsync(config = {}, section) {
+        const libraries = [];
+        this._forEachConfig(config.libraries, (library, options) => libraries.push([ library, options ]));
+        for (let i = 0; i < libraries.length; i++) {
+            await this.addLibraryAsync(libraries[i][0], libraries[i][1]);
+        }
+
+        this._mergeSection(config, section);
+
+        if (config.env) {
+            await this.mergeConfigAsync(config.env[this.env], this._subSection(section, 'env', this.env));
+        }
+
+        if (config.context) {
+            await this.mergeConfigAsync(config.context[this.context], this._subSection(section, 'context', this.context));
+        }
+    }
+
+    _subSection(section, key, name) {
+        return (section ? section + '.' : '') + key + '.' + name;
+    }
+
+    /**
+     * Merge the decorators, components, Babel plugins and options of a .twistrc configuration (everything except
+     * libraries and contextual configuration).
+     */
+    _mergeSection(config, section) {
+        const parentSection = this._configSection;
+        this._configSection = section;
+
         // Decorators
         this._forEachConfig(config.decorators, (name, config) => {
             config.module = config.module || this.currentLibrary.name;
@@ -147,17 +453,22 @@ module.exports = class TwistConfiguration {
             this.addComponent(name, config);
         });
 
+        // Path aliases
+        this._forEachConfig(config.aliases, this.addPathAlias.bind(this));
+
         // Babel plugins
         this._forEachConfig(config.babelPlugins, this.addBabelPlugin.bind(this));
+        this._forEachConfig(config.replaceBabelPlugins, (plugin, replacement) => {
+            replacement = [].concat(replacement);
+            this.replaceBabelPlugin(plugin, replacement[0], replacement[1]);
+        });
+        this._forEachConfig(config.removeBabelPlugins, plugin => this.removeBabelPlugin(plugin));
 
-        // Options
+        // Options (defining any new options first)
+        this._forEachConfig(config.optionDefinitions, this.defineOption.bind(this));
         this._forEachConfig(config.options, this.setOption.bind(this));
 
-        // Contextual configuration - if you've provided additional configuration under context[contextname],
-        // we'll add that too (e.g. additional options only for a webpack environment).
-        if (config.context) {
-            this.mergeConfig(config.context[this.context]);
-        }
+        this._configSection = parentSection;
     }
 
     /**
@@ -174,41 +485,179 @@ module.exports = class TwistConfiguration {
     }
 
     /**
-     * Add a custom Babel plugin.
+     * Asynchronous version of `addLibrary()`, for libraries whose configuration needs to be loaded asynchronously
+     * (a `.twistrc.mjs` file, or a `.twistrc.js` file that returns a Promise).
+     *
+     * @param {string} library The npm name of the library to add
+     * @param {Object|value} [options] Options to pass to the library
+     * @return {Promise<TwistConfiguration>}
+     */
+    async addLibraryAsync(library, options) {
+        await this._libraryLoader.loadAsync(library, options);
+        return this;
+    }
+
+    /**
+     * Add a custom Babel plugin. By default, custom plugins come after the Babel runtime, and before the Twist plugin
+     * (in the order they're added), but you can move them before or after other plugins with `order`: built-in plugins
+     * are named runtime, parserOptions, moduleResolver, twist, decorators, classProperties, async, constants and
+     * modules, and custom plugins are named by their module name, or `order.name`. For example, to run a plugin after
+     * the Twist plugin, use `{ after: 'twist' }`.
+     *
+     * Plugins are identified by the module they resolve to, so `transform-class-properties`,
+     * `babel-plugin-transform-class-properties` and the module itself are all the same plugin. If the plugin was
+     * already added (or is one of the built-in plugins), its options are merged with the new options instead.
      *
      * @param {BabelPlugin|string} plugin
      * @param {object} [options]
+     * @param {BabelPluginOrder} [order]
      */
-    addBabelPlugin(plugin, options) {
-        // Don't add a plugin more than once.
-        if (this._babelPlugins.find(item => item[0] === plugin)) {
-            return;
+    addBabelPlugin(plugin, options, order) {
+        const index = this._babelPlugins.findIndex(item => BabelPluginIdentity.isSame(item[0], plugin));
+        if (index !== -1) {
+            const existing = this._babelPlugins[index];
+            if (!order && !Object.keys(options || {}).length) {
+                // Nothing to merge
+                return this;
+            }
+            const mergedOptions = Object.assign({}, existing[1], options);
+            const mergedOrder = order || existing[2];
+            this._babelPlugins[index] = mergedOrder ? [ existing[0], mergedOptions, mergedOrder ] : [ existing[0], mergedOptions ];
+            this._recordChange('babelPlugin', existing[0], mergedOptions, existing[1]);
+            return this;
         }
-        this._babelPlugins.push([ plugin, options ]);
+
+        // Adding a plugin undoes any earlier removal
+        this._removedBabelPlugins = this._removedBabelPlugins.filter(removed => !BabelPluginIdentity.isSame(removed, plugin));
+        this._babelPlugins.push(order ? [ plugin, options, order ] : [ plugin, options ]);
+        this._recordChange('babelPlugin', plugin, options);
         return this;
     }
 
+    /**
+     * Remove a Babel plugin that was added by another library, or one of the built-in plugins (by its module, or its
+     * name - see addBabelPlugin()).
+     *
+     * @param {BabelPlugin|string} plugin
+     */
+    removeBabelPlugin(plugin) {
+        const removed = this._babelPlugins.filter(item => BabelPluginIdentity.isSame(item[0], plugin) || (item[2] && item[2].name === plugin));
+        this._babelPlugins = this._babelPlugins.filter(item => removed.indexOf(item) === -1);
+        removed.forEach(item => this._recordChange('babelPlugin', item[0], undefined, item[1]));
+
+        this._removedBabelPlugins.push(plugin);
+        if (!removed.length) {
+            this._recordChange('babelPlugin', plugin, undefined);
+        }
+        return this;
+    }
+
+    /**
+     * Replace a Babel plugin that was added by another library, or one of the built-in plugins (by its module, or its
+     * name - see addBabelPlugin()). The replacement takes the place of the plugin in the order of the plugins.
+     *
+     * @param {BabelPlugin|string} plugin
+     * @param {BabelPlugin|string} replacement
+     * @param {object} [options]
+     */
+    replaceBabelPlugin(plugin, replacement, options) {
+        const index = this._babelPlugins.findIndex(item => BabelPluginIdentity.isSame(item[0], plugin) || (item[2] && item[2].name === plugin));
+        if (index !== -1) {
+            const existing = this._babelPlugins[index];
+            this._babelPlugins[index] = existing[2] ? [ replacement, options, existing[2] ] : [ replacement, options ];
+            this._recordChange('babelPlugin', replacement, options, existing[1]);
+            return this;
+        }
+
+        this._replacedBabelPlugins.push([ plugin, replacement, options ]);
+        this._recordChange('babelPlugin', replacement, options);
+        return this;
+    }
+
+    /**
+     * Define a new option, so that it can be set in the `options` section of .twistrc. Libraries can define
+     * options in the `optionDefinitions` section of their .twistrc. If the option was passed to the constructor, that
+     * value is kept; otherwise the option is set to its default value.
+     *
+     * @param {string} name
+     * @param {OptionDefinition} definition
+     */
+    defineOption(name, definition) {
+        const existing = this._optionDefinitions[name];
+        if (existing) {
+            if (JSON.stringify(existing) === JSON.stringify(definition)) {
+                // e.g. the same library loaded twice, with different options
+                return this;
+            }
+            throw new Error(`Twist Configuration option ${name} is already defined (${this.currentLibrary.name} tried to redefine it).`);
+        }
+
+        this._optionDefinitions[name] = definition;
+        if (this._constructorOptions.hasOwnProperty(name)) {
+            this._validateOption(name, this._options[name]);
+        }
+        else if (definition.hasOwnProperty('default')) {
+            this._options[name] = definition.default;
+        }
+        return this;
+    }
+
+    /**
+     * The definitions of the options that can be set, including the options defined by libraries.
+     * @return {Object<string, OptionDefinition>}
+     */
+    get optionDefinitions() {
+        return this._optionDefinitions;
+    }
+
     /**
      * Set an option in the Twist configuration. Supported options are:
      *
-     * includeBabelRuntime      [true]      Include Babel runtime.
+     * includeBabelRuntime      [false]     Include Babel runtime.
+     * jsxSourceLines           [false]     Include source line information in compiled JSX.
      * polyfill                 [true]      Include Babel polyfill (if including Babel runtime).
      * regenerator              [false]     Include Babel regenerator (if including Babel runtime).
-     * targets                  [undefined] A babel-preset-env `targets` configuration, e.g. `{ browsers: 'last 2 versions' }`.
-     * transformImports         [false]     Transforms imports to CommonJS requires.
-     * useBabelModuleResolver   [false]     Use the Babel module resolver to resolve imports.
+     * strict                   [false]     Throw an error (rather than warn) if unrelated libraries define the same
+     *                                      component or decorator.
+     * targets                  [{ node: 'current' }] A babel-preset-env `targets` configuration, e.g. `{ browsers: 'last 2 versions' }`.
+     * targetProfiles           [undefined] Named `targets` configurations for differential builds, e.g.
+     *                                      `{ modern: { browsers: 'last 2 Chrome versions' }, legacy: { browsers: 'ie 11' } }`.
+     * transformImports         [true]      Transforms imports to CommonJS requires.
+     * twistPlugin              [undefined] The Twist Babel plugin, if not @twist/babel-plugin-transform.
+     * useBabelModuleResolver   [true]      Use the Babel module resolver to resolve imports.
+     *
+     * Libraries can define additional options (see defineOption()). The value is validated against the type and
+     * allowed values of the option's definition.
      *
      * @param {string} name
      * @param {string|number|Boolean} value
      */
     setOption(name, value) {
-        if (!this._options.hasOwnProperty(name)) {
+        if (!this._optionDefinitions[name] && !this._options.hasOwnProperty(name)) {
             throw new Error('Twist Configuration option ' + name + ' is not defined.');
         }
+        this._validateOption(name, value);
+        this._recordChange('option', name, value, this._options[name]);
         this._options[name] = value;
         return this;
     }
 
+    _validateOption(name, value) {
+        const definition = this._optionDefinitions[name];
+        if (!definition) {
+            return;
+        }
+        const types = [].concat(definition.type || []);
+        if (types.length && value !== undefined && types.indexOf(typeOf(value)) === -1) {
+            throw new Error(`Twist Configuration option ${name} must be of type ${types.join(' or ')}, `
+                + `but ${this.currentLibrary.name} set it to ${JSON.stringify(value)}.`);
+        }
+        if (definition.values && definition.values.indexOf(value) === -1) {
+            throw new Error(`Twist Configuration option ${name} must be one of ${JSON.stringify(definition.values)}, `
+                + `but ${this.currentLibrary.name} set it to ${JSON.stringify(value)}.`);
+        }
+    }
+
     /**
      * Get the value of an option in the Twist configuration.
      *
@@ -225,6 +674,8 @@ module.exports = class TwistConfiguration {
      * @param {Object} config
      */
     addComponent(name, config) {
+        this._checkCollision('component', name, config, this._components[name]);
+        this._recordChange('component', name, config, this._components[name]);
         this._components[name] = config;
         return this;
     }
@@ -235,10 +686,155 @@ module.exports = class TwistConfiguration {
      * @param {Object} config
      */
     addDecorator(name, config) {
+        this._checkCollision('decorator', name, config, this._decorators[name]);
+        this._recordChange('decorator', name, config, this._decorators[name]);
         this._decorators[name] = config;
         return this;
     }
 
+    /**
+     * Add a path alias, which maps imports of `alias` (and the paths inside it) to `target` - e.g. `components` to
+     * `./src/components`. If the alias starts with `^` or ends with `$`, it's a regular expression instead, and `\1`,
+     * `\2` etc. in the target are replaced with the groups it matched - e.g. `^icons/(.*)$` to `./assets/\1.svg`.
+     * Relative targets are resolved from the library that adds the alias.
+     *
+     * If an unrelated library already defined the same alias differently, or the alias hides one of the loaded
+     * libraries, this warns about it (or throws an error, in strict mode).
+     *
+     * @param {string} alias
+     * @param {string} target
+     */
+    addPathAlias(alias, target) {
+        PathAliases.validate(alias, target);
+        target = PathAliases.resolveTarget(target, this.currentLibrary.path || process.cwd());
+
+        const libraryPath = this.libraryLocations[alias];
+        if (libraryPath && libraryPath !== target) {
+            this._reportConflict(`The alias ${alias} defined by ${this.currentLibrary.name} hides the library ${alias} at ${libraryPath}.\n\n`
+                + this.currentLibrary.getLibraryChainStackTrace() + '\n\n', `Using the alias, which maps it to ${target}.`);
+        }
+        this._checkCollision('pathAlias', alias, target, this._pathAliases[alias]);
+        this._recordChange('pathAlias', alias, target, this._pathAliases[alias]);
+        this._pathAliases[alias] = target;
+        return this;
+    }
+
+    /**
+     * Explain where the value of a component, decorator, option, path alias or Babel plugin came from. Returns the history of
+     * changes made to it, in order - the last entry is the one that's in effect. Each entry has the library (and the
+     * file and section of its configuration) that made the change, along with the value that was overwritten.
+     *
+     * @param {'component'|'decorator'|'option'|'pathAlias'|'babelPlugin'} kind
+     * @param {string|BabelPlugin} name
+     * @return {ProvenanceRecord[]}
+     */
+    explain(kind, name) {
+        return this._provenance.explain(kind, name);
+    }
+
+    /**
+     * Check whether defining a component, decorator or path alias collides with an existing definition from a library
+     * that's unrelated to the current one. Libraries can intentionally override the definitions of the libraries they
+     * load (and vice versa), but if two libraries that don't depend on each other define the same name, whichever is
+     * loaded last silently wins - so we warn about it (or throw an error, in strict mode).
+     */
+    _checkCollision(kind, name, value, previous) {
+        const previousLibrary = this._provenance.lastLibrary(kind, name);
+        const library = this.currentLibrary;
+        if (!previousLibrary || JSON.stringify(value) === JSON.stringify(previous)
+            || library.isSameLibrary(previousLibrary) || library.hasAncestor(previousLibrary) || previousLibrary.hasAncestor(library)) {
+            return;
+        }
+
+        const description = kind === 'pathAlias' ? 'path alias' : kind;
+        const message = `The ${description} ${name} is defined by both ${previousLibrary.name} and ${library.name}, `
+            + `which don't depend on each other:\n\n`
+            + previousLibrary.getLibraryChainStackTrace()
+            + '\n\n'
+            + library.getLibraryChainStackTrace() + '\n\n';
+        this._reportConflict(message, `Using the definition from ${library.name}, since it was loaded last.`);
+    }
+
+    /**
+     * Throw an error about a conflict in strict mode, or else warn about it (and record it), along with how it was resolved.
+     */
+    _reportConflict(message, resolution) {
+        if (this.getOption('strict')) {
+            throw new Error(message);
+        }
+        this._conflicts.push(message + resolution);
+        console.warn(message + resolution);
+    }
+
+    _recordChange(kind, name, value, previous) {
+        this._provenance.record(kind, name, this.currentLibrary, this._configSection, value, previous);
+    }
+
+    /**
+     * A key that changes whenever the resolved configuration might change: it's a hash of the contents of every
+     * loaded configuration file and package.json (so it covers library versions), along with the context, the
+     * environment, the options passed to the constructor and the browserslist configuration (see `targets`). Build
+     * tools can use this to invalidate their caches.
+     *
+     * Files are read from disk each time, so this can be used to check whether a restored configuration
+     * (see `fromJSON()`) is still up to date.
+     *
+     * @return {string}
+     */
+    get cacheKey() {
+        const hash = crypto.createHash('sha1');
+        hash.update(JSON.stringify({
+            version: PACKAGE_VERSION,
+            context: this.context,
+            env: this.env,
+            options: this._constructorOptions,
+            browserslist: this._findBrowserslistQueries()
+        }, stringifyFunctions));
+
+        this._libraryLoader.libraryInfos.forEach(library => {
+            hash.update(JSON.stringify([ library.path, library.options ]));
+            [ path.join(library.path, 'package.json'), library.configFile ].forEach(file => {
+                hash.update('\0' + file + '\0');
+                hash.update(file && fs.existsSync(file) ? fs.readFileSync(file) : '(missing)');
+            });
+        });
+        return hash.digest('hex');
+    }
+
+    /**
+     * Get a serializable version of the resolved configuration, which can be restored with `fromJSON()`. This is
+     * called by `JSON.stringify()`. Throws an error if the configuration contains modules (e.g. Babel plugins that
+     * were added as functions rather than by name), since these can't be serialized.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        const json = {
+            formatVersion: JSON_FORMAT_VERSION,
+            cacheKey: this.cacheKey,
+            context: this.context,
+            env: this.env,
+            constructorOptions: this._constructorOptions,
+            options: this._options,
+            optionDefinitions: this._optionDefinitions,
+            components: this._components,
+            decorators: this._decorators,
+            babelPlugins: this._babelPlugins,
+            removedBabelPlugins: this._removedBabelPlugins,
+            replacedBabelPlugins: this._replacedBabelPlugins,
+            pathAliases: this._pathAliases,
+            targets: this.targets,
+            libraries: this._libraryLoader.toJSON()
+        };
+
+        const functionPath = findFunction(json, 'config');
+        if (functionPath) {
+            throw new Error(`The Twist configuration can't be serialized, because ${functionPath} is a module - `
+                + 'please refer to modules by name instead.');
+        }
+        return json;
+    }
+
     /**
      * The configured components
      */
@@ -253,18 +849,48 @@ module.exports = class TwistConfiguration {
         return this._decorators;
     }
 
+    /**
+     * The babel-preset-env `targets`: the `targets` option if it was set (by the constructor or a library), or else the
+     * browsers in the root library's browserslist configuration (a `.browserslistrc` file, or the `browserslist` field
+     * of package.json) for the current environment. `BROWSERSLIST_ENV` overrides the environment, as in browserslist.
+     *
+     * @return {BrowsersListTargets}
+     */
+    get targets() {
+        if (this._restoredTargets) {
+            // The history of changes isn't restored by fromJSON(), so we can't tell whether the option was set
+            return this._restoredTargets;
+        }
+        const targets = this.getOption('targets');
+        if (this._constructorOptions.hasOwnProperty('targets') || this.explain('option', 'targets').length) {
+            return targets;
+        }
+        const browsers = this._findBrowserslistQueries();
+        return browsers ? { browsers } : targets;
+    }
+
+    _findBrowserslistQueries() {
+        const rootLibrary = this._getRootLibrary();
+        return rootLibrary && TargetsMeta.findBrowserslistQueries(rootLibrary.path, process.env.BROWSERSLIST_ENV || this.env);
+    }
+
     /**
      * The complete Twist configuration options
      */
     get twistOptions() {
-        const aliases = Object.assign({}, this.libraryLocations, this._pathAliases);
+        const aliases = PathAliases.sort(Object.assign({}, this.libraryLocations, this._pathAliases));
         const autoImport = Object.assign({}, this._decorators, this._components);
         const plugins = this._babelPlugins.slice();
+        const removedPlugins = this._removedBabelPlugins.slice();
+        const replacedPlugins = this._replacedBabelPlugins.slice();
 
         return Object.assign({}, this._options, {
+            targets: this.targets,
             aliases,
             autoImport,
-            plugins
+            plugins,
+            removedPlugins,
+            replacedPlugins
         });
     }
 
@@ -274,4 +900,78 @@ module.exports = class TwistConfiguration {
     get babelOptions() {
         return BabelConfig.build(this.twistOptions);
     }
+
+    /**
+     * Get the Babel options for each of several sets of targets, e.g. for a modern bundle and a legacy (IE 11) bundle,
+     * without loading the libraries again. Each profile gets its own decisions about ES5, the const transform and
+     * polyfills, as though it were the `targets` option.
+     *
+     * @param {Object<string, BrowsersListTargets|string|string[]>} [profiles] The targets of each profile, keyed by
+     *     name (a string or array is short for `{ browsers }`). Defaults to the `targetProfiles` option.
+     * @return {Object<string, Object>} The Babel options of each profile, keyed by name.
+     */
+    getBabelOptionsByProfile(profiles = this.getOption('targetProfiles')) {
+        if (!profiles || !Object.keys(profiles).length) {
+            throw new Error('There are no target profiles to get the Babel options for - pass them to getBabelOptionsByProfile(), '
+                + 'or set the targetProfiles option.');
+        }
+        const twistOptions = this.twistOptions;
+        const babelOptions = {};
+        Object.keys(profiles).forEach(name => {
+            const targets = typeof profiles[name] === 'string' || Array.isArray(profiles[name]) ? { browsers: profiles[name] } : profiles[name];
+            babelOptions[name] = BabelConfig.build(Object.assign({}, twistOptions, { targets }));
+        });
+        return babelOptions;
+    }
+
+    /**
+     * Generate a standalone Babel configuration file from `babelOptions`, for tools that can only read Babel's own
+     * configuration files. Modules and absolute paths are turned into references that resolve from the file's directory.
+     *
+     * @param {string} [filename] The file to generate: `.babelrc` (JSON) or a `.js` file like `babel.config.js`.
+     * @return {string} The contents of the file
+     */
+    generateBabelConfig(filename = '.babelrc') {
+        return BabelConfigFile.generate(this.babelOptions, filename, this.getOption('babelVersion'));
+    }
+
+    /**
+     * Write a standalone Babel configuration file (see generateBabelConfig()).
+     *
+     * @param {string} [filename] The file to write: `.babelrc` (JSON) or a `.js` file like `babel.config.js`.
+     */
+    writeBabelConfig(filename = '.babelrc') {
+        BabelConfigFile.write(this.babelOptions, filename, this.getOption('babelVersion'));
+    }
+
+    /**
+     * Check whether a Babel configuration file that was written by writeBabelConfig() is still up to date.
+     *
+     * @param {string} [filename] The file to check.
+     * @return {boolean} false if the file doesn't exist, or doesn't match the current configuration.
+     */
+    isBabelConfigUpToDate(filename = '.babelrc') {
+        return BabelConfigFile.isUpToDate(this.babelOptions, filename, this.getOption('babelVersion'));
+    }
+
+    /**
+     * Generate TypeScript declarations for the auto-imported components (as JSX elements) and decorators (as globals),
+     * so that editors know about them. To keep the file up to date, pass it as the `typeDeclarations` option of watch().
+     *
+     * @return {string} The contents of the .d.ts file
+     */
+    generateTypeDeclarations() {
+        return TypeDeclarations.generate(this.components, this.decorators);
+    }
+
+    /**
+     * Write the TypeScript declarations for the auto-imported components and decorators (see generateTypeDeclarations())
+     * to a .d.ts file, if they changed.
+     *
+     * @param {string} filename
+     * @return {boolean} Whether the file was written
+     */
+    writeTypeDeclarations(filename) {
+        return TypeDeclarations.write(filename, this.components, this.decorators);
+    }
 };
@@ -0,0 +1,104 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const fs = require('fs');
+const PathAliases = require('./internal/PathAliases');
+
+/**
+ * Helpers for building a webpack configuration from a Twist configuration, so that webpack plugins for the different
+ * Twist frameworks can share the same implementation. The Twist configuration should be created for the "webpack"
+ * context, e.g. `new TwistConfiguration('webpack')`.
+ *
+ * @example
+ * const twistConfig = new TwistConfiguration('webpack');
+ * module.exports = {
+ *     module: { rules: [ WebpackConfig.babelLoaderRule(twistConfig) ] },
+ *     resolve: { alias: WebpackConfig.resolveAlias(twistConfig) }
+ * };
+ */
+module.exports = class WebpackConfig {
+
+    /**
+     * Get a partial webpack configuration, with the babel-loader rule and the aliases, to be merged into your own.
+     * If you pass in webpack, this includes the plugins for aliases that are regular expressions (see aliasPlugins()).
+     * @param {TwistConfiguration} config
+     * @param {object} [webpack] The webpack module.
+     * @return {{ module: { rules: object[] }, resolve: { alias: Object<string, string> }, plugins: object[] }}
+     */
+    static build(config, webpack) {
+        return {
+            module: {
+                rules: [ WebpackConfig.babelLoaderRule(config) ]
+            },
+            resolve: {
+                alias: WebpackConfig.resolveAlias(config)
+            },
+            plugins: webpack ? WebpackConfig.aliasPlugins(config, webpack) : []
+        };
+    }
+
+    /**
+     * Get a webpack rule that transpiles the source of the application and its libraries with babel-loader. It
+     * includes the same files as the other integrations (see `TwistConfiguration.shouldTransform()`).
+     * @param {TwistConfiguration} config
+     * @param {object} [options]
+     * @param {RegExp} [options.test] The files to transpile (default: .js and .jsx files).
+     * @return {object}
+     */
+    static babelLoaderRule(config, options = {}) {
+        return {
+            test: options.test || /\.jsx?$/,
+            include: filename => config.shouldTransform(filename),
+            use: [ {
+                loader: 'babel-loader',
+                // We already have all the plugins - don't merge them with a .babelrc file, if there is one
+                options: Object.assign({ babelrc: false }, config.babelOptions)
+            } ]
+        };
+    }
+
+    /**
+     * Get the `resolve.alias` configuration for webpack: the location of each library, and any other path aliases
+     * (except for regular expressions, which webpack doesn't support - see aliasPlugins()).
+     * @param {TwistConfiguration} config
+     * @return {Object<string, string>}
+     */
+    static resolveAlias(config) {
+        return PathAliases.prefixes(config.twistOptions.aliases);
+    }
+
+    /**
+     * Get webpack plugins that apply the path aliases that are regular expressions (e.g. `^icons/(.*)$`), since
+     * `resolve.alias` only supports prefixes.
+     * @param {TwistConfiguration} config
+     * @param {object} webpack The webpack module, e.g. `require('webpack')`.
+     * @return {object[]}
+     */
+    static aliasPlugins(config, webpack) {
+        return PathAliases.patterns(config.twistOptions.aliases).map(alias => {
+            return new webpack.NormalModuleReplacementPlugin(alias.pattern, resource => {
+                resource.request = PathAliases.substitute(alias.target, alias.pattern.exec(resource.request));
+            });
+        });
+    }
+
+    /**
+     * Get the source folders of the loaded libraries (i.e. their source roots, which default to `src`), which need to
+     * be transpiled.
+     * @param {TwistConfiguration} config
+     * @return {string[]}
+     */
+    static includePaths(config) {
+        return config.sourceRoots.filter(sourceRoot => fs.existsSync(sourceRoot));
+    }
+};
@@ -18,6 +18,11 @@ module.exports = class BabelConfig {
 
     /**
      * Return an array of Babel plugins, configured with the given Twist configuration options.
+     * By default, these use the names and options of Babel 6 plugins; set the `babelVersion` option to 7 to get
+     * the scoped `@babel/*` plugins and presets instead.
+     *
+     * The built-in plugins are named (in order) runtime, parserOptions, moduleResolver, twist, decorators,
+     * classProperties, async, constants and modules, so that custom plugins can be ordered relative to them.
      * @param {TwistConfigurationOptions} options
      * @return {BabelPlugin[]}
      */
@@ -28,64 +33,104 @@ module.exports = class BabelConfig {
         //   - We transform modules to es2015-modules-commonjs in ES5 mode.
         //   - ES5 browsers need polyfills to support ES6 builtins like Map, Set, and Promise.
         const requiresES5 = TargetsMeta.doTargetsRequireES5(options.targets);
+        const babel7 = options.babelVersion === 7;
 
         const plugins = new BabelPluginsBuilder();
 
         // The transform-runtime "polyfill" option _only_ polyfills ES6 builtins, not instance methods. Users can include
         // the `babel-polyfill` module to provide more comprehensive polyfills (including instance methods); if so,
         // babel-preset-env will automatically transpile calls to `babel-polyfill` to only include polyfills needed
-        // to support targeted browsers.
+        // to support targeted browsers. In Babel 7, the "polyfill" option became "corejs".
         if (options.includeBabelRuntime) {
-            plugins.add('transform-runtime', { 'polyfill': requiresES5, 'regenerator': options.regenerator });
+            if (babel7) {
+                plugins.addBuiltin('runtime', '@babel/plugin-transform-runtime', { 'corejs': requiresES5 ? 2 : false, 'regenerator': options.regenerator });
+            }
+            else {
+                plugins.addBuiltin('runtime', 'transform-runtime', { 'polyfill': requiresES5, 'regenerator': options.regenerator });
+            }
         }
 
+        // Custom plugins go here, unless they ask to go before or after one of the other plugins (see BabelPluginsBuilder)
         if (options.plugins) {
             options.plugins.forEach((item) => {
-                plugins.add(item[0], item[1]);
+                plugins.add(item[0], item[1], item[2]);
             });
         }
 
-        plugins.add(__dirname + '/ParserOptions');
+        plugins.addBuiltin('parserOptions', __dirname + '/ParserOptions');
 
         if (options.useBabelModuleResolver) {
-            plugins.add('module-resolver', { alias: options.aliases });
+            plugins.addBuiltin('moduleResolver', 'module-resolver', { alias: options.aliases });
         }
 
         // Note: The Twist plugin will vary depending on the underlying UI framework - so this can be overridden by
         // the twistPlugin option of TwistConfiguration
-        plugins.add(options.twistPlugin || '@twist/babel-plugin-transform', options);
+        plugins.addBuiltin('twist', options.twistPlugin || '@twist/babel-plugin-transform', options);
 
-        // Support decorators:
-        plugins.add('transform-decorators-legacy');
-        plugins.add('transform-class-properties');
+        // Support decorators (Babel 7 requires class properties to be loose when using legacy decorators):
+        if (babel7) {
+            plugins.addBuiltin('decorators', '@babel/plugin-proposal-decorators', { legacy: true });
+            plugins.addBuiltin('classProperties', '@babel/plugin-proposal-class-properties', { loose: true });
+        }
+        else {
+            plugins.addBuiltin('decorators', 'transform-decorators-legacy');
+            plugins.addBuiltin('classProperties', 'transform-class-properties');
+        }
 
         // These plugins analyze `options.targets`, automatically determining which standards-track plugins need to be
-        // included to support the targeted browsers.
-        plugins.addPreset('env', {
-            targets: Object.assign({
-                uglify: requiresES5
-            }, options.targets),
-            debug: false,
-            useBuiltIns: true,
-            exclude: options.regenerator ? [] : [
-                'transform-regenerator',
-                'transform-async-to-generator'
-            ]
-        });
-
-        if (!options.regenerator) {
-            plugins.add('fast-async', { spec: true });
+        // included to support the targeted browsers. Babel 7 dropped the "uglify" target in favor of forceAllTransforms.
+        // We transform modules ourselves (see below), so that they can be kept for bundlers when transformImports is false.
+        const exclude = options.regenerator ? [] : [
+            'transform-regenerator',
+            'transform-async-to-generator'
+        ];
+        if (babel7) {
+            plugins.addPreset('@babel/preset-env', {
+                targets: options.targets,
+                forceAllTransforms: requiresES5,
+                modules: false,
+                debug: false,
+                useBuiltIns: 'entry',
+                exclude
+            });
+        }
+        else {
+            plugins.addPreset('env', {
+                targets: Object.assign({
+                    uglify: requiresES5
+                }, options.targets),
+                modules: false,
+                debug: false,
+                useBuiltIns: true,
+                exclude
+            });
+        }
+
+        // fast-async only works with Babel 6, so we transform async functions to Promises with a different plugin in Babel 7.
+        // Targets that support async functions natively don't need either.
+        if (!options.regenerator && TargetsMeta.requiresFeature(options.targets, 'async-functions')) {
+            if (babel7) {
+                plugins.addBuiltin('async', 'babel-plugin-transform-async-to-promises');
+            }
+            else {
+                plugins.addBuiltin('async', 'fast-async', { spec: true });
+            }
         }
 
-        // Only especially old browsers need to transpile "const" to "var" (like Safari 9).
+        // Only especially old browsers need to transpile "const" to "var" (like Safari 9). Babel 7 handles const as
+        // part of the block scoping transform.
         if (TargetsMeta.doTargetsRequireConstTransform(options.targets)) {
-            plugins.add('transform-es2015-constants');
+            plugins.addBuiltin('constants', babel7 ? '@babel/plugin-transform-block-scoping' : 'transform-es2015-constants');
         }
 
         if (requiresES5 || options.transformImports) {
-            plugins.add('transform-es2015-modules-commonjs', { loose: true });
+            plugins.addBuiltin('modules', babel7 ? '@babel/plugin-transform-modules-commonjs' : 'transform-es2015-modules-commonjs', { loose: true });
         }
 
+        // Libraries can remove or replace any of the plugins, including the built-in ones
+        (options.removedPlugins || []).forEach(plugin => plugins.remove(plugin));
+        (options.replacedPlugins || []).forEach(item => plugins.replace(item[0], item[1], item[2]));
+
         return plugins.build();
     }
 };
@@ -0,0 +1,116 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BabelPluginIdentity = require('./BabelPluginIdentity');
+
+const JS_HEADER = '// Generated from the Twist configuration by "twist-config babelrc" - don\'t edit it by hand.\n';
+
+/**
+ * Turn an absolute path into a reference that still resolves from `dir`: files inside node_modules become
+ * package references (e.g. `@twist/configuration/src/internal/ParserOptions.js`), and other files become relative
+ * paths (e.g. `./src/components`).
+ */
+function toPathReference(file, dir) {
+    const parts = file.split(path.sep);
+    const index = parts.lastIndexOf('node_modules');
+    if (index !== -1 && index < parts.length - 1) {
+        return parts.slice(index + 1).join('/');
+    }
+    const relative = path.relative(dir, file).split(path.sep).join('/');
+    return relative.startsWith('.') ? relative : './' + relative;
+}
+
+/**
+ * Generates standalone Babel configuration files (.babelrc or babel.config.js) from the Babel options of a
+ * Twist configuration, for tools that can only read Babel's own configuration files.
+ */
+module.exports = class BabelConfigFile {
+
+    /**
+     * Generate the contents of a Babel configuration file.
+     * @param {object} babelOptions The Babel options to write, i.e. `config.babelOptions`.
+     * @param {string} filename The file to generate - a `.js` file is written as a module, anything else as JSON.
+     * @param {number} [babelVersion] The major version of Babel that will read the file (defaults to 6).
+     * @return {string}
+     */
+    static generate(babelOptions, filename, babelVersion) {
+        const dir = path.dirname(path.resolve(filename));
+
+        const toModuleReference = (mod, location) => {
+            const file = typeof mod === 'string' ? mod : BabelPluginIdentity.findModuleFile(mod);
+            if (!file) {
+                throw new Error(`Can't generate ${filename}, because ${location} is a module that wasn't loaded from a file - please refer to it by name instead.`);
+            }
+            if (!path.isAbsolute(file)) {
+                return file;
+            }
+            const reference = toPathReference(file, dir);
+            // Babel 7 would otherwise normalize package references like @scope/name to @scope/babel-plugin-name
+            return babelVersion === 7 && !reference.startsWith('.') ? 'module:' + reference : reference;
+        };
+
+        const convertValue = (value, location) => {
+            if (typeof value === 'function') {
+                return toModuleReference(value, location);
+            }
+            if (typeof value === 'string') {
+                return path.isAbsolute(value) ? toPathReference(value, dir) : value;
+            }
+            if (Array.isArray(value)) {
+                return value.map((item, i) => convertValue(item, `${location}[${i}]`));
+            }
+            if (value && typeof value === 'object') {
+                const result = {};
+                Object.keys(value).forEach(key => result[key] = convertValue(value[key], `${location}.${key}`));
+                return result;
+            }
+            return value;
+        };
+
+        const convertEntries = (entries, key) => entries.map((entry, i) => {
+            const options = convertValue(entry[1], `${key}[${i}][1]`);
+            if (entry[0] === 'module-resolver') {
+                // The aliases are now relative to the generated file, rather than the current directory
+                options.cwd = 'babelrc';
+            }
+            return [ toModuleReference(entry[0], `${key}[${i}][0]`), options ];
+        });
+
+        const contents = {
+            plugins: convertEntries(babelOptions.plugins, 'plugins'),
+            presets: convertEntries(babelOptions.presets, 'presets')
+        };
+
+        if (path.extname(filename) === '.js') {
+            return JS_HEADER + 'module.exports = ' + JSON.stringify(contents, null, 4) + ';\n';
+        }
+        return JSON.stringify(contents, null, 2) + '\n';
+    }
+
+    /**
+     * Write a Babel configuration file (see generate()).
+     */
+    static write(babelOptions, filename, babelVersion) {
+        fs.writeFileSync(filename, BabelConfigFile.generate(babelOptions, filename, babelVersion));
+    }
+
+    /**
+     * Check whether a generated Babel configuration file exists, and matches the given Babel options.
+     * @return {boolean}
+     */
+    static isUpToDate(babelOptions, filename, babelVersion) {
+        return fs.existsSync(filename) && fs.readFileSync(filename, 'utf8') === BabelConfigFile.generate(babelOptions, filename, babelVersion);
+    }
+};
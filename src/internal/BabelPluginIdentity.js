@@ -0,0 +1,108 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const path = require('path');
+
+const resolvedNames = new Map(); // cwd + name -> key
+const resolvedModules = new WeakMap(); // module -> key
+
+/**
+ * Find the file that a module (e.g. a Babel plugin function) was loaded from, or undefined if it wasn't loaded
+ * with require().
+ */
+function findModuleFile(mod) {
+    return Object.keys(require.cache).find(file => {
+        const exports = require.cache[file].exports;
+        return exports === mod || (exports && exports.default === mod);
+    });
+}
+
+/**
+ * The names that Babel would try to load a plugin as, e.g. `babel-plugin-foo` and `foo` for `foo`.
+ */
+function candidateNames(name) {
+    if (path.isAbsolute(name) || name.startsWith('.')) {
+        return [ name ];
+    }
+    const scoped = /^(@[^/]+\/)(.*)$/.exec(name);
+    if (scoped) {
+        return scoped[2].startsWith('babel-plugin-') ? [ name ] : [ scoped[1] + 'babel-plugin-' + scoped[2], name ];
+    }
+    return name.startsWith('babel-plugin-') ? [ name ] : [ 'babel-plugin-' + name, name ];
+}
+
+function resolveName(name) {
+    name = name.replace(/^module:/, '');
+    const candidates = candidateNames(name);
+    for (let i = 0; i < candidates.length; i++) {
+        try {
+            // Babel resolves plugins from the current directory; we also look in our own dependencies, for the
+            // plugins that BabelConfig adds.
+            return require.resolve(candidates[i], { paths: [ process.cwd(), __dirname ] });
+        }
+        catch (e) {
+            // Try the next one
+        }
+    }
+    // If we can't resolve it, fall back to the name Babel would try first
+    return candidates[0];
+}
+
+/**
+ * Identifies Babel plugins by the module they resolve to, so that the different ways of referring to the same plugin
+ * (e.g. `transform-class-properties`, `babel-plugin-transform-class-properties`, or the module itself) are treated as
+ * the same plugin.
+ */
+module.exports = class BabelPluginIdentity {
+
+    /**
+     * Get the key that identifies a plugin: the file it resolves to if possible, or else its normalized name (or the
+     * module itself, if it wasn't loaded from a file).
+     * @param {BabelPlugin|string} plugin
+     * @return {string|BabelPlugin}
+     */
+    static getKey(plugin) {
+        if (typeof plugin === 'string') {
+            const cacheKey = process.cwd() + '\0' + plugin;
+            if (!resolvedNames.has(cacheKey)) {
+                resolvedNames.set(cacheKey, resolveName(plugin));
+            }
+            return resolvedNames.get(cacheKey);
+        }
+        if (plugin && (typeof plugin === 'object' || typeof plugin === 'function')) {
+            if (!resolvedModules.has(plugin)) {
+                resolvedModules.set(plugin, findModuleFile(plugin) || plugin);
+            }
+            return resolvedModules.get(plugin);
+        }
+        return plugin;
+    }
+
+    /**
+     * Check whether two references to Babel plugins refer to the same plugin.
+     * @param {BabelPlugin|string} a
+     * @param {BabelPlugin|string} b
+     * @return {boolean}
+     */
+    static isSame(a, b) {
+        return a === b || BabelPluginIdentity.getKey(a) === BabelPluginIdentity.getKey(b);
+    }
+
+    /**
+     * Find the file that a module was loaded from (see findModuleFile()).
+     * @return {string|undefined}
+     */
+    static findModuleFile(mod) {
+        return findModuleFile(mod);
+    }
+};
@@ -11,17 +11,103 @@
  *
  */
 
+/**
+ * @typedef {object} BabelPluginOrder
+ * @property {string} [name] The name that other plugins can refer to this plugin by (defaults to the plugin's name,
+ *     if it's a string).
+ * @property {string|string[]} [before] The names of plugins that this plugin must come before.
+ * @property {string|string[]} [after] The names of plugins that this plugin must come after.
+ */
+
+const BabelPluginIdentity = require('./BabelPluginIdentity');
+
+function describePlugin(plugin) {
+    return plugin.name || (plugin.mod && plugin.mod.name) || '(anonymous plugin)';
+}
+
+/**
+ * Given the plugins that couldn't be ordered, find a cycle among them, e.g. [ a, b, a ].
+ */
+function findCycle(remaining, edges) {
+    // Every remaining plugin must come after another remaining plugin, so we can follow them backwards until we
+    // get back to a plugin we've already seen.
+    const path = [];
+    let plugin = remaining[0];
+    while (path.indexOf(plugin) === -1) {
+        path.push(plugin);
+        plugin = remaining.find(other => edges.get(other).has(plugin));
+    }
+    const cycle = path.slice(path.indexOf(plugin)).reverse();
+    return cycle.concat(cycle[0]);
+}
+
 /**
  * A wrapper for constructing a list of babel plugins, given NPM modules and options.
+ *
+ * Plugins can be ordered relative to each other, by giving the names of plugins that they must come `before` or
+ * `after`. The final order is:
+ *
+ * 1. Plugins without `before` or `after` keep the order they were added in, relative to each other.
+ * 2. Each plugin with `before` or `after` comes before/after the plugins with those names (names that don't match
+ *    any plugin are ignored, since the plugin may not be used in this configuration).
+ * 3. Otherwise, each plugin is placed as early as possible in the order in which they were added.
+ *
+ * If the constraints form a cycle (e.g. a before b, and b before a), build() throws an error.
+ *
+ * Built-in plugins (see addBuiltin()) can be removed or replaced, and a custom plugin that's the same as a built-in one
+ * (i.e. it resolves to the same module) reconfigures the built-in plugin, rather than adding it twice.
  */
 module.exports = class BabelPluginsBuilder {
     constructor() {
         this._plugins = [];
         this._presets = [];
+        this._removals = [];
+        this._replacements = [];
+    }
+
+    /**
+     * @param {BabelPlugin|string} mod
+     * @param {object} [options]
+     * @param {BabelPluginOrder} [order]
+     */
+    add(mod, options, order = {}) {
+        this._plugins.push({
+            mod: mod && mod.default || mod,
+            options: options || {},
+            name: order.name || (typeof mod === 'string' ? mod : undefined),
+            before: [].concat(order.before || []),
+            after: [].concat(order.after || []),
+            builtin: false
+        });
     }
 
-    add(mod, options) {
-        this._plugins.push([ mod && mod.default || mod, options || {} ]);
+    /**
+     * Add one of the plugins that Twist always uses.
+     * @param {string} name The name that other plugins can refer to this plugin by.
+     * @param {BabelPlugin|string} mod
+     * @param {object} [options]
+     */
+    addBuiltin(name, mod, options) {
+        this.add(mod, options, { name });
+        this._plugins[this._plugins.length - 1].builtin = true;
+    }
+
+    /**
+     * Remove a plugin, given its name or module.
+     * @param {BabelPlugin|string} plugin
+     */
+    remove(plugin) {
+        this._removals.push(plugin);
+    }
+
+    /**
+     * Replace a plugin, given its name or module. The replacement keeps the plugin's name and position.
+     * @param {BabelPlugin|string} plugin
+     * @param {BabelPlugin|string} replacement
+     * @param {object} [options]
+     */
+    replace(plugin, replacement, options) {
+        this._replacements.push({ plugin, mod: replacement && replacement.default || replacement, options: options || {} });
     }
 
     addPreset(mod, options) {
@@ -30,8 +116,73 @@ module.exports = class BabelPluginsBuilder {
 
     build() {
         return {
-            plugins: this._plugins,
+            plugins: this._sortPlugins(this._applyChanges()).map(plugin => [ plugin.mod, plugin.options ]),
             presets: this._presets
         };
     }
+
+    _applyChanges() {
+        const matches = (plugin, ref) => ref === plugin.name || BabelPluginIdentity.isSame(ref, plugin.mod);
+
+        this._replacements.forEach(replacement => {
+            this._plugins.filter(plugin => matches(plugin, replacement.plugin)).forEach(plugin => {
+                plugin.mod = replacement.mod;
+                plugin.options = replacement.options;
+            });
+        });
+
+        const builtins = this._plugins.filter(plugin => plugin.builtin);
+        return this._plugins.filter(plugin => {
+            const builtin = !plugin.builtin && builtins.find(other => BabelPluginIdentity.isSame(other.mod, plugin.mod));
+            if (builtin) {
+                // The custom plugin's options (and order, if given) take precedence
+                builtin.options = Object.assign({}, builtin.options, plugin.options);
+                if (plugin.before.length || plugin.after.length) {
+                    builtin.before = plugin.before;
+                    builtin.after = plugin.after;
+                }
+                return false;
+            }
+            return !this._removals.some(ref => matches(plugin, ref));
+        });
+    }
+
+    _sortPlugins(plugins) {
+        const byName = new Map();
+        plugins.forEach(plugin => plugin.name && byName.set(plugin.name, plugin));
+
+        // edges: plugin -> the plugins that must come after it
+        const edges = new Map(plugins.map(plugin => [ plugin, new Set() ]));
+        const addEdge = (from, to) => {
+            if (from && to && from !== to) {
+                edges.get(from).add(to);
+            }
+        };
+        let previous;
+        plugins.forEach(plugin => {
+            if (!plugin.before.length && !plugin.after.length) {
+                addEdge(previous, plugin);
+                previous = plugin;
+            }
+            plugin.before.forEach(name => addEdge(plugin, byName.get(name)));
+            plugin.after.forEach(name => addEdge(byName.get(name), plugin));
+        });
+
+        const incoming = new Map(plugins.map(plugin => [ plugin, 0 ]));
+        edges.forEach(targets => targets.forEach(target => incoming.set(target, incoming.get(target) + 1)));
+
+        const sorted = [];
+        const remaining = plugins.slice();
+        while (remaining.length) {
+            const next = remaining.find(plugin => incoming.get(plugin) === 0);
+            if (!next) {
+                throw new Error('The Babel plugins can\'t be ordered, because their before/after constraints form a cycle '
+                    + '(where a -> b means that a must come before b): ' + findCycle(remaining, edges).map(describePlugin).join(' -> '));
+            }
+            remaining.splice(remaining.indexOf(next), 1);
+            sorted.push(next);
+            edges.get(next).forEach(target => incoming.set(target, incoming.get(target) - 1));
+        }
+        return sorted;
+    }
 };
@@ -0,0 +1,96 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/**
+ * @typedef {object} FeatureSupport
+ * @property {number} spec The edition of ECMAScript that the feature is part of.
+ * @property {Object<string, string>} support The first version of each browser (by its browserslist name) and of
+ *     node that supports the feature. Browsers that aren't listed don't support it.
+ */
+
+/**
+ * Which versions of each browser support each feature, from the kangax compat-table and Can I Use (in the same way as
+ * babel-preset-env's data/plugins.json). A feature only counts as supported once it works well enough that we don't
+ * need to transpile it - e.g. Safari 9 parses `const`, but doesn't scope it to the block.
+ *
+ * @type {Object<string, FeatureSupport>}
+ */
+module.exports = {
+    // Map, Set, WeakMap and Promise - the builtins that babel-runtime polyfills
+    'es6-builtins': {
+        spec: 2015,
+        support: {
+            chrome: '38', edge: '12', firefox: '36', safari: '8', opera: '25', ios_saf: '8', android: '38',
+            samsung: '4', and_chr: '38', and_ff: '36', op_mob: '37', and_uc: '11', and_qq: '1.2', baidu: '7.12',
+            node: '0.12'
+        }
+    },
+    'const': {
+        spec: 2015,
+        support: {
+            chrome: '21', edge: '12', firefox: '36', ie: '11', safari: '10', opera: '15', ios_saf: '10', android: '4.4',
+            samsung: '4', and_chr: '21', and_ff: '36', op_mob: '37', and_uc: '11', and_qq: '1.2', baidu: '7.12',
+            ie_mob: '11', node: '4'
+        }
+    },
+    'template-literals': {
+        spec: 2015,
+        support: {
+            chrome: '41', edge: '13', firefox: '34', safari: '9', opera: '28', ios_saf: '9', android: '41',
+            samsung: '4', and_chr: '41', and_ff: '34', op_mob: '37', and_uc: '11', and_qq: '1.2', baidu: '7.12',
+            node: '4'
+        }
+    },
+    'arrow-functions': {
+        spec: 2015,
+        support: {
+            chrome: '47', edge: '13', firefox: '45', safari: '10', opera: '34', ios_saf: '10', android: '47',
+            samsung: '5', and_chr: '47', and_ff: '45', op_mob: '37', and_uc: '11', node: '6'
+        }
+    },
+    'classes': {
+        spec: 2015,
+        support: {
+            chrome: '49', edge: '13', firefox: '45', safari: '10', opera: '36', ios_saf: '10', android: '49',
+            samsung: '5', and_chr: '49', and_ff: '45', op_mob: '37', and_uc: '11', node: '6'
+        }
+    },
+    'generators': {
+        spec: 2015,
+        support: {
+            chrome: '50', edge: '13', firefox: '53', safari: '10', opera: '37', ios_saf: '10', android: '50',
+            samsung: '5', and_chr: '50', and_ff: '53', op_mob: '37', and_uc: '11', node: '6'
+        }
+    },
+    'destructuring': {
+        spec: 2015,
+        support: {
+            chrome: '51', edge: '15', firefox: '53', safari: '10', opera: '38', ios_saf: '10', android: '51',
+            samsung: '5', and_chr: '51', and_ff: '53', op_mob: '46', and_uc: '11', node: '6.5'
+        }
+    },
+    'async-functions': {
+        spec: 2017,
+        support: {
+            chrome: '55', edge: '15', firefox: '52', safari: '11', opera: '42', ios_saf: '11', android: '55',
+            samsung: '6.2', and_chr: '55', and_ff: '52', op_mob: '46', and_uc: '11.8', node: '7.6'
+        }
+    },
+    'object-rest-spread': {
+        spec: 2018,
+        support: {
+            chrome: '60', firefox: '55', safari: '11.1', opera: '47', ios_saf: '11.3', android: '60',
+            samsung: '8.2', and_chr: '60', and_ff: '55', op_mob: '46', node: '8.3'
+        }
+    }
+};
@@ -0,0 +1,223 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/**
+ * @typedef {object} ConfigSchemaError
+ * @property {string} path The JSON path of the invalid value, e.g. `decorators[0][1].inherits`.
+ * @property {string} message A description of what's wrong with the value.
+ */
+
+const STRING = { type: 'string' };
+const OBJECT = { type: 'object' };
+const ANY = {};
+
+/**
+ * A list of entries in .twistrc - either an array of `name` or `[ name, value ]` items, or a map from name to value.
+ * Some entries can have a third item in the array form, e.g. `[ name, value, order ]` for Babel plugins.
+ * See `TwistConfiguration._forEachConfig()`.
+ */
+function entries(key, value, extra) {
+    return { type: 'entries', key, value, extra };
+}
+
+const MODULE_REFERENCE = {
+    type: 'object',
+    properties: {
+        module: STRING,
+        export: STRING
+    },
+    required: [ 'export' ],
+    additionalProperties: false
+};
+
+const DECORATOR = {
+    type: 'object',
+    properties: {
+        module: STRING,
+        export: STRING,
+        inherits: { oneOf: [ STRING, MODULE_REFERENCE ] }
+    },
+    additionalProperties: false
+};
+
+const COMPONENT = {
+    type: 'object',
+    properties: {
+        module: STRING,
+        export: STRING
+    },
+    additionalProperties: false
+};
+
+const BABEL_PLUGIN = { oneOf: [ STRING, { type: 'function' }, OBJECT ] };
+
+// A replacement plugin, optionally with its options: `replacement` or `[ replacement, options ]`
+const BABEL_PLUGIN_REPLACEMENT = { oneOf: [ STRING, { type: 'function' }, OBJECT, { type: 'array' } ] };
+
+const PLUGIN_NAMES = { oneOf: [ STRING, { type: 'array' } ] };
+
+const BABEL_PLUGIN_ORDER = {
+    type: 'object',
+    properties: {
+        name: STRING,
+        before: PLUGIN_NAMES,
+        after: PLUGIN_NAMES
+    },
+    additionalProperties: false
+};
+
+const OPTION_DEFINITION = {
+    type: 'object',
+    properties: {
+        type: { oneOf: [ STRING, { type: 'array' } ] },
+        default: ANY,
+        values: { type: 'array' },
+        description: STRING
+    },
+    additionalProperties: false
+};
+
+/**
+ * The schema of a .twistrc configuration (the sections understood by `TwistConfiguration.mergeConfig()`).
+ */
+const CONFIG = {
+    type: 'object',
+    properties: {
+        libraries: entries(STRING, ANY),
+        decorators: entries(STRING, DECORATOR),
+        components: entries(STRING, COMPONENT),
+        aliases: entries(STRING, STRING),
+        babelPlugins: entries(BABEL_PLUGIN, OBJECT, BABEL_PLUGIN_ORDER),
+        replaceBabelPlugins: entries(BABEL_PLUGIN, BABEL_PLUGIN_REPLACEMENT),
+        removeBabelPlugins: entries(BABEL_PLUGIN, ANY),
+        optionDefinitions: { type: 'object', additionalProperties: OPTION_DEFINITION },
+        options: OBJECT
+    },
+    additionalProperties: false
+};
+
+// Each context section (e.g. `context.webpack`) and environment section (e.g. `env.production`) can contain any of the
+// above, including nested sections (e.g. `context.webpack.env.production`).
+CONFIG.properties.context = { type: 'object', additionalProperties: CONFIG };
+CONFIG.properties.env = { type: 'object', additionalProperties: CONFIG };
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function propertyPath(path, key) {
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return path ? `${path}.${key}` : key;
+    }
+    return `${path}[${JSON.stringify(key)}]`;
+}
+
+function validateEntries(schema, value, path, errors) {
+    if (Array.isArray(value)) {
+        value.forEach((entry, i) => {
+            const entryPath = `${path}[${i}]`;
+            if (!entry) {
+                // Falsy entries are skipped, so that you can conditionally include entries in a .twistrc.js file
+                return;
+            }
+            if (Array.isArray(entry)) {
+                validate(schema.key, entry[0], `${entryPath}[0]`, errors);
+                if (entry[1] !== undefined) {
+                    validate(schema.value, entry[1], `${entryPath}[1]`, errors);
+                }
+                if (schema.extra && entry[2] !== undefined) {
+                    validate(schema.extra, entry[2], `${entryPath}[2]`, errors);
+                }
+            }
+            else {
+                validate(schema.key, entry, entryPath, errors);
+            }
+        });
+    }
+    else if (typeOf(value) === 'object') {
+        Object.keys(value).forEach(key => validate(schema.value, value[key], propertyPath(path, key), errors));
+    }
+    else {
+        errors.push({ path, message: 'must be an array or an object' });
+    }
+}
+
+function validateObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+            errors.push({ path, message: `is missing the required "${key}" property` });
+        }
+    });
+    Object.keys(value).forEach(key => {
+        if (properties[key]) {
+            validate(properties[key], value[key], propertyPath(path, key), errors);
+        }
+        else if (schema.additionalProperties === false) {
+            errors.push({ path: propertyPath(path, key), message: 'is not a recognized property' });
+        }
+        else if (schema.additionalProperties) {
+            validate(schema.additionalProperties, value[key], propertyPath(path, key), errors);
+        }
+    });
+}
+
+function validate(schema, value, path, errors) {
+    if (schema.oneOf) {
+        // Pick the alternative that matches the type of the value, so that we report the most relevant errors.
+        const match = schema.oneOf.find(alternative => alternative.type === typeOf(value));
+        if (!match) {
+            errors.push({ path, message: 'must be of type ' + schema.oneOf.map(alternative => alternative.type).join(' or ') });
+            return;
+        }
+        validate(match, value, path, errors);
+        return;
+    }
+
+    if (schema.type === 'entries') {
+        validateEntries(schema, value, path, errors);
+        return;
+    }
+
+    if (schema.type && typeOf(value) !== schema.type) {
+        errors.push({ path, message: `must be of type ${schema.type}` });
+        return;
+    }
+
+    if (schema.type === 'object') {
+        validateObject(schema, value, path, errors);
+    }
+}
+
+/**
+ * Validates the contents of .twistrc files against the schema of the configuration format.
+ */
+module.exports = class ConfigSchema {
+
+    /**
+     * Validate a .twistrc configuration.
+     * @param {Object} config The configuration, as loaded from .twistrc or returned from .twistrc.js
+     * @return {ConfigSchemaError[]} The errors found in the configuration (an empty array if it's valid).
+     */
+    static validate(config) {
+        const errors = [];
+        validate(CONFIG, config, '', errors);
+        return errors.map(error => ({ path: error.path || '(root)', message: error.message }));
+    }
+};
@@ -0,0 +1,179 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {object} ConfigurationChange
+ * @property {string} path The path of the value in `twistOptions` that changed, e.g. `autoImport.my:component`.
+ * @property {*} from The previous value (undefined if it was added).
+ * @property {*} to The new value (undefined if it was removed).
+ */
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Compare two versions of `twistOptions`, returning a list of the values that changed. Objects are compared key by
+ * key; anything else (including arrays, like the Babel plugins) is compared as a whole.
+ * @return {ConfigurationChange[]}
+ */
+function diff(from, to, prefix, changes) {
+    const keys = Object.keys(from).concat(Object.keys(to).filter(key => !from.hasOwnProperty(key)));
+    keys.forEach(key => {
+        const keyPath = prefix ? prefix + '.' + key : key;
+        if (isPlainObject(from[key]) && isPlainObject(to[key])) {
+            diff(from[key], to[key], keyPath, changes);
+        }
+        else if (from[key] !== to[key] && JSON.stringify(from[key]) !== JSON.stringify(to[key])) {
+            changes.push({ path: keyPath, from: from[key], to: to[key] });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Watches the files that a TwistConfiguration was loaded from (see `TwistConfiguration.watch()`), reloading the
+ * configuration when they change. Emits:
+ *
+ * * `change` with `{ files, changes }` - the files that changed, and the changes to `twistOptions`.
+ * * `error` with the error, if reloading the configuration failed (the configuration is left as it was). If nothing
+ *   listens for it, the error is logged instead, so that a broken .twistrc doesn't stop a development server.
+ *
+ * If given the `typeDeclarations` option, it also keeps that .d.ts file up to date.
+ */
+module.exports = class ConfigurationWatcher extends EventEmitter {
+
+    constructor(config, options = {}) {
+        super();
+        this.config = config;
+        this.interval = options.interval || 500;
+        this.delay = options.delay || 50;
+        this.typeDeclarations = options.typeDeclarations;
+
+        this._files = new Map(); // file -> listener
+        this._changedFiles = new Set();
+        this._timeout = undefined;
+        this._reloading = false;
+        this._watchFiles();
+        this._writeTypeDeclarations();
+    }
+
+    /**
+     * The files being watched.
+     * @return {string[]}
+     */
+    get files() {
+        return Array.from(this._files.keys());
+    }
+
+    /**
+     * Stop watching.
+     */
+    close() {
+        clearTimeout(this._timeout);
+        this._files.forEach((listener, file) => fs.unwatchFile(file, listener));
+        this._files.clear();
+    }
+
+    /**
+     * Watch package.json and the configuration files of each library - including the ones it doesn't have yet, in case
+     * they're added - and stop watching files that are no longer used.
+     */
+    _watchFiles() {
+        const files = new Set();
+        this.config._libraryLoader.libraryInfos.forEach(library => {
+            files.add(path.join(library.path, 'package.json'));
+            library.getConfigFileCandidates().forEach(file => files.add(file));
+        });
+
+        this._files.forEach((listener, file) => {
+            if (!files.has(file)) {
+                fs.unwatchFile(file, listener);
+                this._files.delete(file);
+            }
+        });
+        files.forEach(file => {
+            if (!this._files.has(file)) {
+                const listener = (current, previous) => {
+                    if (current.mtime.getTime() !== previous.mtime.getTime() || current.size !== previous.size) {
+                        this._onFileChanged(file);
+                    }
+                };
+                fs.watchFile(file, { interval: this.interval }, listener);
+                this._files.set(file, listener);
+            }
+        });
+    }
+
+    _writeTypeDeclarations() {
+        if (this.typeDeclarations) {
+            this.config.writeTypeDeclarations(this.typeDeclarations);
+        }
+    }
+
+    _onFileChanged(file) {
+        this._changedFiles.add(file);
+
+        // Wait for any other files to change (e.g. if they're being saved together) before reloading
+        clearTimeout(this._timeout);
+        this._timeout = setTimeout(() => this._reload(), this.delay);
+    }
+
+    _reload() {
+        if (this._reloading) {
+            // Try again once the current reload finishes
+            this._timeout = setTimeout(() => this._reload(), this.delay);
+            return;
+        }
+
+        const files = Array.from(this._changedFiles);
+        const previousOptions = this.config.twistOptions;
+        this._changedFiles.clear();
+        this._reloading = true;
+
+        const onReloaded = () => {
+            this._reloading = false;
+            this._watchFiles();
+            this._writeTypeDeclarations();
+            this.emit('change', { files, changes: diff(previousOptions, this.config.twistOptions, '', []) });
+        };
+        const onError = err => {
+            this._reloading = false;
+            if (this.listenerCount('error')) {
+                this.emit('error', err);
+            }
+            else {
+                console.warn(`Failed to reload the Twist configuration: ${err.message}`);
+            }
+        };
+
+        let result;
+        try {
+            result = this.config.reload();
+        }
+        catch (err) {
+            onError(err);
+            return;
+        }
+        if (result && typeof result.then === 'function') {
+            result.then(onReloaded, onError);
+        }
+        else {
+            onReloaded();
+        }
+    }
+};
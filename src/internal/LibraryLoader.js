@@ -13,7 +13,32 @@
 
 const path = require('path');
 const fs = require('fs');
+const semver = require('semver');
+const yaml = require('js-yaml');
+const url = require('url');
 const stripJsonComments = require('strip-json-comments');
+const ConfigSchema = require('./ConfigSchema');
+
+// The configuration files of a library, in order of precedence (followed by the `twist` field of package.json)
+const CONFIG_FILES = [ '.twistrc', '.twistrc.js', '.twistrc.mjs', '.twistrc.yaml', '.twistrc.yml' ];
+
+// Fields of `twist` in package.json that describe the library, rather than being part of its configuration
+const PACKAGE_METADATA_FIELDS = [ 'peerLibraries', 'sourceRoots' ];
+
+// Where libraries keep their code, unless they say otherwise in the `twist.sourceRoots` field of package.json
+const DEFAULT_SOURCE_ROOTS = [ 'src' ];
+
+// Dynamic import() is a syntax error in older versions of node, so we only compile it when it's needed.
+const importModule = specifier => new Function('specifier', 'return import(specifier)')(specifier);
+
+// Whether this version of node can import() ES modules (see supportsDynamicImport())
+let dynamicImportSupport;
+
+// Return true if the file is inside the folder (both absolute paths)
+const isInside = (folder, filename) => {
+    const relative = path.relative(folder, filename);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
 
 class LibraryInfo {
 
@@ -21,6 +46,7 @@ class LibraryInfo {
         this.path = libraryPath; // Absolute path to the library
         this.options = options;
         this.parentLibrary = parentLibrary;
+        this.configFile = undefined; // Absolute path to the .twistrc file of the library, once loaded
 
         // Load other details from package.json
         // Note that this must exist, because that's how we resolve the library path!
@@ -28,7 +54,96 @@ class LibraryInfo {
             let packageJson = JSON.parse(fs.readFileSync(path.join(libraryPath, 'package.json'), { encoding: 'utf8' }));
             this.name = packageJson.name;
             this.version = packageJson.version;
+
+            // Semver ranges of other libraries that this library is compatible with, e.g. `{ "@twist/core": "^0.2.0" }`
+            this.peerLibraries = (packageJson.twist && packageJson.twist.peerLibraries) || {};
+
+            // The folders that contain the library's code, which build tools should compile, e.g. `[ '/path/to/library/src' ]`
+            this.sourceRoots = LibraryInfo.getSourceRoots(libraryPath, packageJson.twist && packageJson.twist.sourceRoots);
+
+            // Configuration in the `twist` field of package.json (if there's anything besides metadata)
+            this.packageConfig = LibraryInfo.getPackageConfig(packageJson);
         }
+        else {
+            this.peerLibraries = {};
+            this.sourceRoots = [];
+        }
+    }
+
+    /**
+     * Get the absolute paths of the source roots of a library.
+     * @param {string} libraryPath
+     * @param {string|string[]} [sourceRoots] The source roots, relative to the library (default: `src`).
+     * @return {string[]}
+     */
+    static getSourceRoots(libraryPath, sourceRoots = DEFAULT_SOURCE_ROOTS) {
+        return [].concat(sourceRoots).map(sourceRoot => path.resolve(libraryPath, sourceRoot));
+    }
+
+    /**
+     * Return true if the file is in one of the source roots of the library.
+     * @param {string} filename An absolute path
+     * @return {boolean}
+     */
+    containsSource(filename) {
+        return this.sourceRoots.some(sourceRoot => isInside(sourceRoot, filename));
+    }
+
+    /**
+     * Return true if the file is anywhere in the library's folder.
+     * @param {string} filename An absolute path
+     * @return {boolean}
+     */
+    contains(filename) {
+        return !!this.path && isInside(this.path, filename);
+    }
+
+    /**
+     * Get the paths that the library's configuration file could have (see `LibraryLoader.findConfigFile()`), whether
+     * or not they exist.
+     * @return {string[]}
+     */
+    getConfigFileCandidates() {
+        return this.path ? CONFIG_FILES.map(file => path.join(this.path, file)) : [];
+    }
+
+    /**
+     * Get the configuration from the `twist` field of package.json, without any of the metadata fields.
+     * @param {Object} packageJson
+     * @return {Object|undefined} The configuration, or undefined if there isn't any
+     */
+    static getPackageConfig(packageJson) {
+        if (!packageJson.twist || typeof packageJson.twist !== 'object') {
+            return;
+        }
+        const config = {};
+        Object.keys(packageJson.twist)
+            .filter(key => PACKAGE_METADATA_FIELDS.indexOf(key) === -1)
+            .forEach(key => config[key] = packageJson.twist[key]);
+        return Object.keys(config).length ? config : undefined;
+    }
+
+    /**
+     * Return true if `library` loaded this library, either directly or through other libraries.
+     * @param {LibraryInfo} library
+     * @return {boolean}
+     */
+    hasAncestor(library) {
+        for (let parent = this.parentLibrary; parent; parent = parent.parentLibrary) {
+            if (parent.isSameLibrary(library)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Return true if `library` refers to the same library as this one (possibly loaded with different options).
+     * @param {LibraryInfo} library
+     * @return {boolean}
+     */
+    isSameLibrary(library) {
+        return library === this || (!!this.path && library.path === this.path);
     }
 
     /**
@@ -62,10 +177,20 @@ class LibraryInfo {
 /**
  * LibraryLoader manages library loading, ensuring that multiple versions of the same library are not
  * loaded simultaneously. A library is an npm module with a root `.twistrc` file that contains a JSON configuration.
- * Alternatively, a `.twistrc.js` file can be supplied, which should export an object with the configuration.
+ * Alternatively, a `.twistrc.js` file can be supplied, which should export an object with the configuration (or a
+ * function that returns it). When loading asynchronously (see `TwistConfiguration.create()`), the function can return a
+ * Promise, and the configuration can also be an ES module, `.twistrc.mjs`. The configuration can also be written in
+ * YAML (`.twistrc.yaml` or `.twistrc.yml`), or placed in the `twist` field of package.json - see `findConfigFile()`.
  *
- * Libraries should place all their code in a `src` directory - this is used to enforce that the library only adds
- * loaders that are scoped to files contained within that package.
+ * If different versions of the same library are found (e.g. in nested node_modules folders), only the first one is
+ * loaded, provided that its version satisfies the ranges that the loaded libraries declare in the
+ * `twist.peerLibraries` field of their package.json, e.g. `"twist": { "peerLibraries": { "@twist/core": "^0.2.0" } }`.
+ * The first copy is always the one that's used, since its configuration has already been merged: if it doesn't satisfy
+ * the ranges, loading fails, even if a copy that's found later would satisfy them.
+ *
+ * Libraries should place all their code in a `src` directory (or the directories listed in the `twist.sourceRoots`
+ * field of their package.json) - build tools only compile the files in these source roots, rather than everything in
+ * the package (see `TwistConfiguration.shouldTransform()`).
  */
 module.exports = class LibraryLoader {
 
@@ -84,6 +209,11 @@ module.exports = class LibraryLoader {
         this.currentLibrary = new LibraryInfo();
         this.currentLibrary.name = '(root)';
         this.currentLibrary.version = '';
+        /**
+         * Libraries that weren't loaded, because a compatible version of the same library was already loaded.
+         * @member {Array<{ library: LibraryInfo, usedLibrary: LibraryInfo }>}
+         */
+        this.deduplicatedLibraries = [];
     }
 
     /**
@@ -101,6 +231,60 @@ module.exports = class LibraryLoader {
      * @return {object} The Twist configuration of the library
      */
     load(libraryName, options = {}) {
+        const libraryInfo = this.enterLibrary(libraryName, options);
+        if (!libraryInfo) {
+            return;
+        }
+
+        // Load the .twistrc configuration for the library
+        let libraryConfig = this.loadConfigFile(options);
+        if (libraryConfig) {
+            this.validateConfig(libraryConfig);
+            this.config.mergeConfig(libraryConfig);
+        }
+        else {
+            this.warnMissingConfig(libraryName);
+        }
+
+        // Switch back to the parent library
+        this.currentLibrary = libraryInfo.parentLibrary;
+    }
+
+    /**
+     * Asynchronous version of `load()`, which supports `.twistrc.mjs` files and `.twistrc.js` files that
+     * return a Promise. Sub-libraries are loaded with `config.mergeConfigAsync()`, one at a time.
+     *
+     * @param {string} libraryName The npm name of the library (or an absolute path to the root folder of the library)
+     * @param {object} [options] Options to pass to .twistrc.js
+     * @return {Promise}
+     */
+    async loadAsync(libraryName, options = {}) {
+        const libraryInfo = this.enterLibrary(libraryName, options);
+        if (!libraryInfo) {
+            return;
+        }
+
+        let libraryConfig = await this.loadConfigFileAsync(options);
+        if (libraryConfig) {
+            this.validateConfig(libraryConfig);
+            await this.config.mergeConfigAsync(libraryConfig);
+        }
+        else {
+            this.warnMissingConfig(libraryName);
+        }
+
+        this.currentLibrary = libraryInfo.parentLibrary;
+    }
+
+    /**
+     * Make `libraryName` the current library, unless it doesn't need to be loaded (because it was already loaded, or
+     * because it was deduplicated).
+     *
+     * @param {string} libraryName
+     * @param {object} options
+     * @return {LibraryInfo|undefined} The library, or undefined if it doesn't need to be loaded
+     */
+    enterLibrary(libraryName, options) {
         let libraryPath = LibraryLoader.getRootDir(libraryName);
 
         // Check if we already loaded the library; if so, nothing to do.
@@ -113,60 +297,250 @@ module.exports = class LibraryLoader {
         this.libraryInfos.push(libraryInfo);
         this.currentLibrary = libraryInfo;
 
-        // If the library we're loading has already been loaded with a different version, throw an error.
+        // If the library we're loading has already been loaded with a different version, we can use the version
+        // that's already loaded if it satisfies the ranges that libraries declared in `twist.peerLibraries`.
+        // Otherwise, throw an error.
         const conflictLib = this.libraryInfos.find(lib => lib.name === libraryInfo.name && lib.version !== libraryInfo.version);
         if (conflictLib) {
+            const requirements = this.getPeerRequirements(libraryInfo.name);
+            if (requirements.length && requirements.every(req => semver.satisfies(conflictLib.version, req.range))) {
+                this.libraryInfos.splice(this.libraryInfos.indexOf(libraryInfo), 1);
+                this.deduplicatedLibraries.push({ library: libraryInfo, usedLibrary: conflictLib });
+                this.currentLibrary = libraryInfo.parentLibrary;
+                return;
+            }
+
             throw new Error(`You're trying to load ${this.currentLibrary.name} ${this.currentLibrary.version}, but `
                 + `${conflictLib.name} ${conflictLib.version} was already loaded:\n\n`
                 + this.currentLibrary.getLibraryChainStackTrace()
                 + '\n\n'
-                + conflictLib.getLibraryChainStackTrace() + '\n\n');
+                + conflictLib.getLibraryChainStackTrace() + '\n\n'
+                + requirements.map(req => `    ${req.library.name} requires ${libraryInfo.name} ${req.range}\n`).join('')
+                + (requirements.length ? '\n' : '')
+                + (requirements.length && requirements.every(req => semver.satisfies(libraryInfo.version, req.range))
+                    ? `${libraryInfo.name} ${libraryInfo.version} would satisfy these ranges, but the copy that's loaded `
+                        + `first is always used - please make sure that ${libraryInfo.name} ${libraryInfo.version} is `
+                        + `loaded first, or that there's only one copy of it.\n\n`
+                    : ''));
         }
 
-        // Load the .twistrc configuration for the library
-        let libraryConfig = this.loadConfigFile(options);
-        if (libraryConfig) {
-            this.config.mergeConfig(libraryConfig);
+        return libraryInfo;
+    }
+
+    warnMissingConfig(libraryName) {
+        console.warn(`Failed to find .twistrc file for ${libraryName} - make sure that it has a configuration in its root`);
+    }
+
+    /**
+     * Get a serializable description of the loaded libraries (see `restore()`).
+     * @return {Object[]}
+     */
+    toJSON() {
+        return this.libraryInfos.map(library => ({
+            name: library.name,
+            version: library.version,
+            path: library.path,
+            options: library.options,
+            configFile: library.configFile,
+            peerLibraries: library.peerLibraries,
+            sourceRoots: library.sourceRoots,
+            parent: this.libraryInfos.indexOf(library.parentLibrary) // -1 if loaded by the root
+        }));
+    }
+
+    /**
+     * Restore the loaded libraries from the output of `toJSON()`, without reading anything from disk.
+     * @param {Object[]} libraries
+     */
+    restore(libraries) {
+        this.libraryInfos = libraries.map(data => {
+            const library = new LibraryInfo();
+            [ 'name', 'version', 'path', 'options', 'configFile', 'peerLibraries' ].forEach(key => library[key] = data[key]);
+            library.sourceRoots = data.sourceRoots || LibraryInfo.getSourceRoots(data.path);
+            return library;
+        });
+        this.libraryInfos.forEach((library, i) => {
+            const parent = libraries[i].parent;
+            library.parentLibrary = parent === -1 ? this.currentLibrary : this.libraryInfos[parent];
+        });
+    }
+
+    /**
+     * Get the version ranges of the given library that the loaded libraries declared they're compatible with.
+     * @param {string} libraryName
+     * @return {Array<{ library: LibraryInfo, range: string }>}
+     */
+    getPeerRequirements(libraryName) {
+        return this.libraryInfos
+            .filter(lib => lib.peerLibraries[libraryName])
+            .map(lib => ({ library: lib, range: lib.peerLibraries[libraryName] }));
+    }
+
+    /**
+     * Validate the configuration of the current library against the .twistrc schema, throwing an error that lists
+     * every problem (along with the library, the file and the path of the offending value) if it's invalid.
+     * @param {Object} libraryConfig
+     */
+    validateConfig(libraryConfig) {
+        const errors = ConfigSchema.validate(libraryConfig);
+        if (errors.length) {
+            throw new Error(`Invalid configuration for ${this.currentLibrary.name} in ${this.currentLibrary.configFile}:\n\n`
+                + errors.map(error => `    ${error.path}: ${error.message}`).join('\n')
+                + '\n\n'
+                + this.currentLibrary.getLibraryChainStackTrace() + '\n\n');
         }
-        else {
-            console.warn(`Failed to find .twistrc file for ${libraryName} - make sure that it has a configuration in its root`);
+    }
+
+    /**
+     * Find the configuration file of the current library, which is one of (in order of precedence):
+     *
+     * * `.twistrc` (JSON, with comments)
+     * * `.twistrc.js`
+     * * `.twistrc.mjs` (only when loading asynchronously)
+     * * `.twistrc.yaml` or `.twistrc.yml`
+     * * The `twist` field of `package.json`
+     *
+     * A library can only have one configuration, so we throw an error if it has more than one of these.
+     * Records the file on the current library.
+     *
+     * @return {string|undefined} The path to the configuration file, if there is one
+     */
+    findConfigFile() {
+        const configFiles = this.currentLibrary.getConfigFileCandidates().filter(file => fs.existsSync(file));
+        if (this.currentLibrary.packageConfig) {
+            configFiles.push(path.join(this.currentLibrary.path, 'package.json'));
         }
 
-        // Switch back to the parent library
-        this.currentLibrary = libraryInfo.parentLibrary;
+        if (configFiles.length > 1) {
+            throw new Error(`${this.currentLibrary.name} has more than one configuration, please use only one of:\n\n`
+                + configFiles.map(file => `    ${file}${path.basename(file) === 'package.json' ? ' (twist field)' : ''}\n`).join('')
+                + '\n'
+                + this.currentLibrary.getLibraryChainStackTrace() + '\n\n');
+        }
+
+        this.currentLibrary.configFile = configFiles[0];
+        return configFiles[0];
     }
 
     /**
-     * Starting at `libraryPath`, walk the directory tree until a `package.json` is found.
+     * Load the configuration of the current library.
      * If found, return the parsed version; otherwise return undefined.
      * @param {Object} [options]
      */
     loadConfigFile(options = {}) {
+        const configFile = this.findConfigFile();
+        if (!configFile) {
+            return;
+        }
+
+        if (path.extname(configFile) === '.mjs') {
+            throw new Error(`${configFile} is an ES module, which can only be loaded asynchronously - `
+                + 'please use TwistConfiguration.create() to load the configuration');
+        }
+        if (path.extname(configFile) !== '.js') {
+            return this.readStaticConfig(configFile);
+        }
+
+        const libraryConfig = LibraryLoader.evaluateConfigModule(require(configFile), options);
+        if (libraryConfig && typeof libraryConfig.then === 'function') {
+            // We can't wait for the Promise, but it mustn't become an unhandled rejection either
+            libraryConfig.then(() => {}, () => {});
+            throw new Error(`${configFile} returned a Promise, so it can only be loaded asynchronously - `
+                + 'please use TwistConfiguration.create() to load the configuration');
+        }
+        return libraryConfig;
+    }
+
+    /**
+     * Asynchronous version of `loadConfigFile()`, which also supports ES modules and Promises returned by `.twistrc.js`.
+     * @param {Object} [options]
+     * @return {Promise<Object|undefined>}
+     */
+    async loadConfigFileAsync(options = {}) {
+        const configFile = this.findConfigFile();
+        if (!configFile) {
+            return;
+        }
+
+        switch (path.extname(configFile)) {
+        case '.mjs':
+            if (!await LibraryLoader.supportsDynamicImport()) {
+                throw new Error(`${configFile} is an ES module, which needs a newer version of node to load `
+                    + `(12.17 or later, but this is ${process.version}) - please use a .twistrc.js file instead`);
+            }
+            // ES modules are cached by URL, so we add the modification time to load the latest version on reload()
+            return LibraryLoader.evaluateConfigModule(await importModule(url.pathToFileURL(configFile).href
+                + '?mtime=' + fs.statSync(configFile).mtime.getTime()), options);
+        case '.js':
+            return LibraryLoader.evaluateConfigModule(require(configFile), options);
+        default:
+            return this.readStaticConfig(configFile);
+        }
+    }
+
+    /**
+     * Read a configuration that isn't a JavaScript module: JSON (comments are allowed), YAML, or the `twist` field
+     * of package.json.
+     * @param {string} configFile
+     * @return {Object}
+     */
+    readStaticConfig(configFile) {
+        if (path.basename(configFile) === 'package.json') {
+            return this.currentLibrary.packageConfig;
+        }
 
-        // First, try .twistrc (JSON)
-        let configFile = path.join(this.currentLibrary.path, '.twistrc');
-        if (fs.existsSync(configFile)) {
+        const contents = fs.readFileSync(configFile, { encoding: 'utf8' });
+        if (/\.ya?ml$/.test(configFile)) {
             try {
-                return JSON.parse(stripJsonComments(fs.readFileSync(configFile, { encoding: 'utf8' })));
+                return yaml.safeLoad(contents, { filename: configFile });
             }
             catch (e) {
-                throw new Error(`Invalid .twistrc file at ${configFile} - please ensure it is valid JSON`);
+                throw new Error(`Invalid .twistrc file at ${configFile} - please ensure it is valid YAML: ${e.message}`);
             }
         }
 
-        // If there's no .twistrc file, try .twistrc.js (JavaScript)
-        configFile = path.join(this.currentLibrary.path, '.twistrc.js');
-        if (fs.existsSync(configFile)) {
-            let library = require(configFile);
-            library = library.default || library;
+        try {
+            return JSON.parse(stripJsonComments(contents));
+        }
+        catch (e) {
+            throw new Error(`Invalid .twistrc file at ${configFile} - please ensure it is valid JSON`);
+        }
+    }
 
-            if (typeof library === 'function') {
-                // Pass the options to the library
-                return library(options);
-            }
+    /**
+     * Get the configuration from a `.twistrc.js` or `.twistrc.mjs` module, which can export either the configuration
+     * itself or a function that returns it (or a Promise for it, if loaded asynchronously).
+     * @param {Object|function} library The module
+     * @param {Object} options Options to pass to the function
+     */
+    static evaluateConfigModule(library, options) {
+        library = library.default || library;
 
-            return library;
+        if (typeof library === 'function') {
+            // Pass the options to the library
+            return library(options);
+        }
+
+        return library;
+    }
+
+    /**
+     * Check whether this version of node can load ES modules with import(): older versions either can't parse it, or
+     * only support it behind a flag.
+     * @return {Promise<boolean>}
+     */
+    static supportsDynamicImport() {
+        if (!dynamicImportSupport) {
+            try {
+                dynamicImportSupport = typeof url.pathToFileURL === 'function'
+                    ? importModule('fs').then(() => true, () => false)
+                    : Promise.resolve(false);
+            }
+            catch (e) {
+                dynamicImportSupport = Promise.resolve(false);
+            }
         }
+        return dynamicImportSupport;
     }
 
     /**
@@ -11,22 +11,47 @@
  *
  */
 
-module.exports = function() {
+// Babel 7 renamed or removed some of the parser plugins: async functions are part of the language, class constructor
+// calls were withdrawn, and the decorators proposal we support is now called "decorators-legacy".
+const PARSER_PLUGINS = {
+    6: [
+        'jsx',
+        'asyncFunctions',
+        'classConstructorCall',
+        'doExpressions',
+        'decorators',
+        'classProperties',
+        'asyncGenerators'
+    ],
+    7: [
+        'jsx',
+        'doExpressions',
+        'decorators-legacy',
+        'classProperties',
+        'asyncGenerators'
+    ]
+};
+
+/**
+ * Get the parser plugins to enable for the given major version of Babel (or version string, e.g. "7.0.0").
+ * @param {number|string} [babelVersion] Defaults to Babel 6.
+ * @return {string[]}
+ */
+function getParserPlugins(babelVersion) {
+    return PARSER_PLUGINS[parseInt(babelVersion, 10) >= 7 ? 7 : 6].slice();
+}
+
+module.exports = function(babel) {
+    const plugins = getParserPlugins(babel && babel.version);
     return {
         manipulateOptions(opts, parserOpts) {
             // We do want to allow imports inside if checks. This way we can use defines
             // to avoid compiling parts of the application.
             parserOpts.allowImportExportEverywhere = true;
 
-            parserOpts.plugins.push(
-                'jsx',
-                'asyncFunctions',
-                'classConstructorCall',
-                'doExpressions',
-                'decorators',
-                'classProperties',
-                'asyncGenerators'
-            );
+            parserOpts.plugins.push(...plugins);
         }
     };
 };
+
+module.exports.getParserPlugins = getParserPlugins;
@@ -0,0 +1,138 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const path = require('path');
+
+/**
+ * Path aliases map imports to other paths, in the same format as babel-plugin-module-resolver:
+ *
+ * - A prefix alias like `components` maps `components` and `components/...` to its path (e.g. `components/Button` to
+ *   `/path/to/src/components/Button`). If several prefixes match, the longest one wins.
+ * - A pattern that starts with `^` or ends with `$` is a regular expression, and `\1`, `\2` etc. in its path are
+ *   replaced with the groups it matched (e.g. `^icons/(.*)$` with `/path/to/icons/\1.svg`). Patterns are tried in
+ *   order, after the prefixes.
+ */
+module.exports = class PathAliases {
+
+    /**
+     * Return true if the alias is a regular expression, rather than a prefix.
+     * @param {string} alias
+     * @return {boolean}
+     */
+    static isPattern(alias) {
+        return alias.startsWith('^') || alias.endsWith('$');
+    }
+
+    /**
+     * Check that an alias is valid, throwing an error if it isn't.
+     * @param {string} alias
+     * @param {string} target
+     */
+    static validate(alias, target) {
+        if (typeof target !== 'string' || !target) {
+            throw new Error(`The path of the alias ${alias} must be a string, but it's ${JSON.stringify(target)}.`);
+        }
+        if (PathAliases.isPattern(alias)) {
+            try {
+                new RegExp(alias);
+            }
+            catch (e) {
+                throw new Error(`The alias ${alias} isn't a valid regular expression: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Resolve the path of an alias relative to the directory of the library that declared it. Paths that aren't
+     * relative (e.g. other modules, like `lodash-es`) are left as they are.
+     * @param {string} target
+     * @param {string} dir
+     * @return {string}
+     */
+    static resolveTarget(target, dir) {
+        return target.startsWith('.') ? path.resolve(dir, target) : target;
+    }
+
+    /**
+     * Sort aliases into the order they're tried in: the prefixes (longest first), then the patterns (in order). This
+     * is the order that babel-plugin-module-resolver tries them in, too.
+     * @param {Object<string, string>} aliases
+     * @return {Object<string, string>}
+     */
+    static sort(aliases) {
+        const names = Object.keys(aliases);
+        const prefixes = names.filter(name => !PathAliases.isPattern(name)).sort((a, b) => b.length - a.length);
+        const patterns = names.filter(name => PathAliases.isPattern(name));
+
+        const sorted = {};
+        prefixes.concat(patterns).forEach(name => sorted[name] = aliases[name]);
+        return sorted;
+    }
+
+    /**
+     * Get just the prefix aliases, e.g. for webpack's `resolve.alias` (which doesn't support regular expressions).
+     * @param {Object<string, string>} aliases
+     * @return {Object<string, string>}
+     */
+    static prefixes(aliases) {
+        const prefixes = {};
+        Object.keys(aliases).filter(name => !PathAliases.isPattern(name)).forEach(name => prefixes[name] = aliases[name]);
+        return prefixes;
+    }
+
+    /**
+     * Get just the regular expression aliases.
+     * @param {Object<string, string>} aliases
+     * @return {Array<{ pattern: RegExp, target: string }>}
+     */
+    static patterns(aliases) {
+        return Object.keys(aliases).filter(name => PathAliases.isPattern(name)).map(name => ({
+            pattern: new RegExp(name),
+            target: aliases[name]
+        }));
+    }
+
+    /**
+     * Apply a regular expression alias to a request that it matched.
+     * @param {string} target The path of the alias, with `\1` etc. for the matched groups.
+     * @param {Array} match The result of `pattern.exec(request)`.
+     * @return {string}
+     */
+    static substitute(target, match) {
+        return target.replace(/\\(\d+)/g, (placeholder, group) => match[group] || '');
+    }
+
+    /**
+     * Map an import to the path of the first alias that matches it.
+     * @param {Object<string, string>} aliases
+     * @param {string} request
+     * @return {string|null} The path, or null if no alias matches.
+     */
+    static resolve(aliases, request) {
+        const prefix = Object.keys(PathAliases.prefixes(aliases))
+            .sort((a, b) => b.length - a.length)
+            .find(name => request === name || request.startsWith(name + '/'));
+        if (prefix) {
+            return aliases[prefix] + request.slice(prefix.length);
+        }
+
+        const patterns = PathAliases.patterns(aliases);
+        for (let i = 0; i < patterns.length; i++) {
+            const match = patterns[i].pattern.exec(request);
+            if (match) {
+                return PathAliases.substitute(patterns[i].target, match);
+            }
+        }
+        return null;
+    }
+};
@@ -0,0 +1,103 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const BabelPluginIdentity = require('./BabelPluginIdentity');
+
+const KINDS = [ 'component', 'decorator', 'option', 'pathAlias', 'babelPlugin' ];
+
+/**
+ * @typedef {object} ProvenanceRecord
+ * @property {string} library The name of the library that made the change.
+ * @property {string} version The version of the library that made the change.
+ * @property {string} [file] The configuration file that made the change (undefined if made through the API).
+ * @property {string} [section] The section of the configuration file, e.g. `context.webpack` (undefined if top-level).
+ * @property {*} value The new value.
+ * @property {*} previous The value that was overwritten (undefined if there wasn't one).
+ * @property {string} chain The chain of libraries that loaded the library, see `LibraryInfo.getLibraryChainStackTrace()`.
+ */
+
+/**
+ * Keeps track of which library made each change to the configuration, so that we can explain where the final value
+ * of a component, decorator, option, path alias or Babel plugin came from.
+ */
+module.exports = class Provenance {
+    constructor() {
+        this._history = {};
+        KINDS.forEach(kind => {
+            // Babel plugins can be modules rather than strings, so we use a Map
+            this._history[kind] = new Map();
+        });
+    }
+
+    /**
+     * Record a change to the configuration.
+     * @param {string} kind One of `component`, `decorator`, `option`, `pathAlias` or `babelPlugin`
+     * @param {string|Object} name The name of the item that changed
+     * @param {LibraryInfo} library The library that made the change
+     * @param {string} [section] The section of the configuration that made the change
+     * @param {*} value The new value
+     * @param {*} [previous] The value that was overwritten
+     */
+    record(kind, name, library, section, value, previous) {
+        const history = this._getKind(kind);
+        const key = Provenance._getKey(kind, name);
+        if (!history.has(key)) {
+            history.set(key, []);
+        }
+        history.get(key).push({ library, section, value, previous });
+    }
+
+    /**
+     * Get the history of changes to the given item, in the order they were made.
+     * @param {string} kind One of `component`, `decorator`, `option`, `pathAlias` or `babelPlugin`
+     * @param {string|Object} name
+     * @return {ProvenanceRecord[]}
+     */
+    explain(kind, name) {
+        return (this._getKind(kind).get(Provenance._getKey(kind, name)) || []).map(record => ({
+            library: record.library.name,
+            version: record.library.version,
+            file: record.library.configFile,
+            section: record.section,
+            value: record.value,
+            previous: record.previous,
+            chain: record.library.getLibraryChainStackTrace()
+        }));
+    }
+
+    /**
+     * Get the library that made the most recent change to the given item, if any.
+     * @param {string} kind
+     * @param {string|Object} name
+     * @return {LibraryInfo|undefined}
+     */
+    lastLibrary(kind, name) {
+        const history = this._getKind(kind).get(Provenance._getKey(kind, name));
+        return history && history[history.length - 1].library;
+    }
+
+    /**
+     * Babel plugins are identified by the module they resolve to (see BabelPluginIdentity), so that their history is
+     * the same however they're referred to.
+     */
+    static _getKey(kind, name) {
+        return kind === 'babelPlugin' ? BabelPluginIdentity.getKey(name) : name;
+    }
+
+    _getKind(kind) {
+        if (!this._history[kind]) {
+            throw new Error(`Unknown kind of configuration ${kind} - must be one of ${KINDS.join(', ')}.`);
+        }
+        return this._history[kind];
+    }
+};
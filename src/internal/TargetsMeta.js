@@ -12,6 +12,7 @@
  */
 
 const browserslist = require('browserslist');
+const CompatibilityTable = require('./CompatibilityTable');
 
 /**
  * @typedef {object} BrowsersListTargets
@@ -20,10 +21,46 @@ const browserslist = require('browserslist');
  * @property {'es5'|'es6'} [torqWebCompiler] If provided, indicates that we're targeting torq's web compiler.
  */
 
+/**
+ * Compare two version strings (e.g. "10.3" and "9"), like a sort function. Ranges like "4.4.3-4.4.4" are compared by
+ * their lowest version, and versions that aren't numbers (like Safari "TP") count as the latest version.
+ */
+function compareVersions(a, b) {
+    const parse = version => String(version).split('-')[0].split('.').map(Number);
+    const partsA = parse(a);
+    const partsB = parse(b);
+    if (isNaN(partsA[0]) || isNaN(partsB[0])) {
+        return isNaN(partsA[0]) - isNaN(partsB[0]);
+    }
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+function isSupported(support, name, version) {
+    return support.hasOwnProperty(name) && compareVersions(version, support[name]) >= 0;
+}
+
 /**
  * Static utilities for analyzing a browserslist-style target object.
  */
 module.exports = class TargetsMeta {
+    /**
+     * Get the browsers targeted by `targets`, e.g. `[ 'chrome 61', 'ie 11' ]`.
+     * @param {BrowsersListTargets} targets
+     * @return {string[]}
+     */
+    static getBrowsers(targets) {
+        // Don't let browserslist look for a configuration in the current directory: the browserslist configuration of
+        // the project is already resolved into `targets.browsers` (see findBrowserslistQueries()), and babel-preset-env
+        // only looks at `targets.browsers` too. Without any browsers, this gives browserslist's defaults.
+        return browserslist(targets && targets.browsers, { path: undefined });
+    }
+
     /**
      * Compare each targeted browser from `targets` to `regex`, returning true if any
      * browser matches the regular expression.
@@ -32,13 +69,56 @@ module.exports = class TargetsMeta {
      * @return {boolean}
      */
     static testTargets(targets, regex) {
-        const browserList = browserslist(targets && targets.browsers);
-        for (let i = 0; i < browserList.length; i++) {
-            if (regex.test(browserList[i])) {
+        return TargetsMeta.getBrowsers(targets).some(browser => regex.test(browser));
+    }
+
+    /**
+     * Return true if any of the given targets (browsers, or node) doesn't support a feature natively, so it needs to
+     * be transpiled or polyfilled. The features are the keys of the compatibility table (see CompatibilityTable):
+     * es6-builtins, const, template-literals, arrow-functions, classes, generators, destructuring, async-functions and
+     * object-rest-spread.
+     *
+     * When targeting torq's web compiler in "es6" mode, the ES2015 features are supported; in "es5" mode, the targeted
+     * browsers decide, as usual.
+     * @param {BrowsersListTargets} targets
+     * @param {string} feature
+     * @return {boolean}
+     */
+    static requiresFeature(targets, feature) {
+        if (!CompatibilityTable.hasOwnProperty(feature)) {
+            throw new Error(`Unknown feature ${feature} - expected one of ${Object.keys(CompatibilityTable).join(', ')}.`);
+        }
+        const { spec, support } = CompatibilityTable[feature];
+
+        if (targets && targets.torqWebCompiler === 'es6' && spec <= 2015) {
+            return false;
+        }
+
+        if (targets && targets.node !== undefined) {
+            const nodeVersion = targets.node === 'current' || targets.node === true ? process.versions.node : targets.node;
+            if (!isSupported(support, 'node', nodeVersion)) {
                 return true;
             }
         }
-        return false;
+        return TargetsMeta.getBrowsers(targets).some(browser => {
+            const parts = browser.split(' ');
+            return !isSupported(support, parts[0], parts[1]);
+        });
+    }
+
+    /**
+     * Find the browserslist configuration of a project (a .browserslistrc or browserslist file, or the `browserslist`
+     * field of package.json, in `dir` or one of its parents), and return its queries for the given environment (or
+     * its defaults, if there's no section for the environment).
+     * @param {string} dir
+     * @param {string} env
+     * @return {string[]|undefined} The queries, or undefined if the project doesn't have a browserslist configuration.
+     */
+    static findBrowserslistQueries(dir, env) {
+        // browserslist caches the configuration of each directory, but it may have changed since (e.g. when watching)
+        browserslist.clearCaches();
+        const config = browserslist.findConfig(dir);
+        return config && (config[env] || config.defaults);
     }
 
     /**
@@ -51,10 +131,7 @@ module.exports = class TargetsMeta {
      * @return {boolean}
      */
     static doTargetsRequireES5(targets) {
-        if (targets && targets.torqWebCompiler === 'es6') {
-            return false;
-        }
-        return TargetsMeta.testTargets(targets, /^(ie|op_mini)/);
+        return TargetsMeta.requiresFeature(targets, 'es6-builtins');
     }
 
     /**
@@ -64,9 +141,6 @@ module.exports = class TargetsMeta {
      * @return {boolean}
      */
     static doTargetsRequireConstTransform(targets) {
-        if (targets && targets.torqWebCompiler === 'es6') {
-            return false;
-        }
-        return TargetsMeta.testTargets(targets, /^(ie (8|9|10)|op_mini|safari (8|9))/);
+        return TargetsMeta.requiresFeature(targets, 'const');
     }
 };
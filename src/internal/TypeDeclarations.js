@@ -0,0 +1,91 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const fs = require('fs');
+
+const HEADER = '// Generated from the Twist configuration by "twist-config types" - don\'t edit it by hand.\n';
+
+// The props of a component are the first argument of its constructor (or function).
+const PROPS_TYPE = `\
+type TwistComponentProps<T> =
+    T extends new (props: infer P, ...args: any[]) => any ? P :
+    T extends (props: infer P, ...args: any[]) => any ? P :
+    any;
+`;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Get the type of an auto-imported module export, e.g. `typeof import('@twist/core').Store`.
+ */
+function typeOfExport(item) {
+    const mod = `import(${JSON.stringify(item.module)})`;
+    return IDENTIFIER.test(item.export) ? `typeof ${mod}.${item.export}` : `(typeof ${mod})[${JSON.stringify(item.export)}]`;
+}
+
+/**
+ * Generates TypeScript declarations for the components and decorators that the Twist plugin auto-imports, so that
+ * editors know about them: components become JSX intrinsic elements (or globals, if they're capitalized identifiers
+ * like `Button`), and decorators become globals, each with the type of the export it refers to.
+ */
+module.exports = class TypeDeclarations {
+
+    /**
+     * Generate the contents of a .d.ts file.
+     * @param {Object<string, {module: string, export: string}>} components
+     * @param {Object<string, {module: string, export: string}>} decorators
+     * @return {string}
+     */
+    static generate(components, decorators) {
+        const globals = [];
+        const elements = [];
+
+        Object.keys(components).forEach(name => {
+            if (IDENTIFIER.test(name) && name[0] === name[0].toUpperCase()) {
+                globals.push(`declare const ${name}: ${typeOfExport(components[name])};`);
+            }
+            else {
+                elements.push(`        ${JSON.stringify(name)}: TwistComponentProps<${typeOfExport(components[name])}>;`);
+            }
+        });
+        Object.keys(decorators).filter(name => IDENTIFIER.test(name)).forEach(name => {
+            globals.push(`declare const ${name}: ${typeOfExport(decorators[name])};`);
+        });
+
+        return [
+            HEADER,
+            PROPS_TYPE,
+            globals.join('\n') + (globals.length ? '\n' : ''),
+            'declare namespace JSX {',
+            '    interface IntrinsicElements {',
+            ...elements,
+            '    }',
+            '}',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Write a .d.ts file (see generate()), if its contents have changed - this avoids making editors recompile
+     * when nothing changed.
+     * @return {boolean} Whether the file was written.
+     */
+    static write(filename, components, decorators) {
+        const contents = TypeDeclarations.generate(components, decorators);
+        if (fs.existsSync(filename) && fs.readFileSync(filename, 'utf8') === contents) {
+            return false;
+        }
+        fs.writeFileSync(filename, contents);
+        return true;
+    }
+};
@@ -0,0 +1,186 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it, afterEach */
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+
+const Cli = require('../src/Cli');
+const LibraryLoader = require('../src/internal/LibraryLoader');
+const TemporaryFiles = require('./helpers/TemporaryFiles');
+
+function run(args) {
+    let output = '';
+    return Cli.run(args, text => output += text).then(exitCode => ({ exitCode, output }));
+}
+
+describe('Cli', () => {
+
+    afterEach(() => TemporaryFiles.removeAll());
+
+    it('prints usage without a command', () => {
+        return run([]).then(result => {
+            assert.equal(result.exitCode, 0);
+            assert(result.output.startsWith('Usage: twist-config <command> [options]'));
+        });
+    });
+
+    it('fails with an unknown command or option', () => {
+        return run([ 'foo' ]).then(result => {
+            assert.equal(result.exitCode, 1);
+            assert(result.output.startsWith('Unknown command foo'));
+            return run([ 'print', '--foo' ]);
+        }).then(result => {
+            assert.equal(result.exitCode, 1);
+            assert(result.output.startsWith('Unknown option --foo'));
+        });
+    });
+
+    it('prints the resolved configuration as JSON', () => {
+        return run([ 'print', '--json', '--context', 'webpack', '--root', path.join(__dirname, 'testLibrary3') ]).then(result => {
+            assert.equal(result.exitCode, 0);
+
+            const output = JSON.parse(result.output);
+            assert.equal(output.context, 'webpack');
+            assert.equal(output.options.regenerator, true);
+            assert.equal(output.aliases['test-library3'], path.join(__dirname, 'testLibrary3'));
+            assert.deepEqual(output.autoImport.Decorator1, { module: 'test-library3', export: 'Decorator1' });
+            assert.deepEqual(output.babel.plugins[0], [ 'plugin1', {} ]);
+            assert.equal(output.babel.presets[0][0], 'env');
+        });
+    });
+
+    it('prints the resolved configuration as text', () => {
+        return run([ 'print', '--root', path.join(__dirname, 'testLibrary1') ]).then(result => {
+            assert.equal(result.exitCode, 0);
+            assert(result.output.indexOf('Twist configuration for context "node"') !== -1);
+            assert(result.output.indexOf('    my:component -> @twist/core#MyComponent\n') !== -1);
+            assert(result.output.indexOf('    transform-class-properties\n') !== -1);
+        });
+    });
+
+    it('prints configurations that can only be loaded asynchronously', () => {
+        return run([ 'print', '--json', '--root', path.join(__dirname, 'asyncLibrary') ]).then(result => {
+            assert.equal(result.exitCode, 0);
+            assert.deepEqual(JSON.parse(result.output).autoImport['async:component'], { module: 'async-library', export: 'async-library' });
+        });
+    });
+
+    it('prints ES module configurations, if node supports import()', function() {
+        return LibraryLoader.supportsDynamicImport().then(supported => {
+            if (!supported) {
+                this.skip();
+            }
+            return run([ 'print', '--json', '--root', path.join(__dirname, 'esmLibrary') ]);
+        }).then(result => {
+            assert.equal(result.exitCode, 0);
+            assert.deepEqual(JSON.parse(result.output).autoImport.EsmDecorator, { module: 'esm-library', export: 'EsmDecorator' });
+        });
+    });
+
+    it('lists the loaded libraries', () => {
+        return run([ 'libraries', '--json', '--root', path.join(__dirname, 'testLibrary4') ]).then(result => {
+            assert.equal(result.exitCode, 0);
+            assert.deepEqual(JSON.parse(result.output).map(library => [ library.name, library.loadedBy ]), [
+                [ 'test-library4', '(root)' ],
+                [ 'test-library1', 'test-library4' ],
+                [ 'test-library2', 'test-library4' ],
+                [ 'test-library3', 'test-library4' ]
+            ]);
+            return run([ 'libraries', '--root', path.join(__dirname, 'testLibrary1') ]);
+        }).then(result => {
+            assert.equal(result.output, `Libraries:\n    test-library1 0.1.0 (${path.join(__dirname, 'testLibrary1')}), loaded by (root)\n`);
+        });
+    });
+
+    it('lists deduplicated libraries', () => {
+        const libraryPath = path.join(__dirname, 'dedupedLibraries', 'testLibrary1v1');
+        return run([ 'libraries', '--root', path.join(__dirname, 'dedupedLibraries') ]).then(result => {
+            assert(result.output.endsWith(`Deduplicated:\n    test-library1 0.1.5 (${libraryPath}), loaded by deduped-libraries - using 0.1.0 instead\n`));
+            return run([ 'libraries', '--json', '--root', path.join(__dirname, 'dedupedLibraries') ]);
+        }).then(result => {
+            assert.deepEqual(JSON.parse(result.output)[2], {
+                name: 'test-library1',
+                version: '0.1.5',
+                path: libraryPath,
+                loadedBy: 'deduped-libraries',
+                deduplicated: true,
+                usedVersion: '0.1.0'
+            });
+        });
+    });
+
+    it('doctor reports unresolved modules', () => {
+        return run([ 'doctor', '--json', '--root', path.join(__dirname, 'testLibrary1') ]).then(result => {
+            assert.equal(result.exitCode, 1);
+            assert.deepEqual(JSON.parse(result.output).problems, [
+                { type: 'unresolved-module', message: 'Store refers to @twist/core, which can\'t be resolved' },
+                { type: 'unresolved-module', message: 'my:component refers to @twist/core, which can\'t be resolved' }
+            ]);
+        });
+    });
+
+    it('doctor reports version conflicts', () => {
+        return run([ 'doctor', '--root', path.join(__dirname, 'conflictingLibraries') ]).then(result => {
+            assert.equal(result.exitCode, 1);
+            assert(result.output.startsWith('Problems:\n    [load-error] You\'re trying to load test-library1 0.2.0'));
+        });
+    });
+
+    it('doctor reports collisions between unrelated libraries', () => {
+        return run([ 'doctor', '--json', '--root', path.join(__dirname, 'collidingLibraries') ]).then(result => {
+            assert.equal(result.exitCode, 1);
+            const collisions = JSON.parse(result.output).problems.filter(problem => problem.type === 'collision');
+            assert.equal(collisions.length, 1);
+            assert(collisions[0].message.startsWith('The component my:component is defined by both test-library1 and other-library'));
+            assert(collisions[0].message.endsWith('Using the definition from other-library, since it was loaded last.'));
+        });
+    });
+
+    it('doctor reports missing .twistrc files', () => {
+        return run([ 'doctor', '--json', '--root', path.join(__dirname, '..') ]).then(result => {
+            assert.deepEqual(JSON.parse(result.output).problems, [
+                { type: 'missing-twistrc', message: `@twist/configuration (${path.join(__dirname, '..')}) has no .twistrc file` }
+            ]);
+        });
+    });
+
+    it('writes a .babelrc file and checks that it is up to date', () => {
+        const file = path.join(TemporaryFiles.createDirectory(), '.babelrc');
+        const args = [ 'babelrc', '--root', path.join(__dirname, 'testLibrary1'), '--out', file ];
+
+        return run(args.concat('--check')).then(result => {
+            assert.deepEqual(result, { exitCode: 1, output: `${file} is out of date - run twist-config babelrc to update it.\n` });
+            return run(args);
+        }).then(result => {
+            assert.deepEqual(result, { exitCode: 0, output: `Wrote ${file}\n` });
+            return run(args.concat('--check'));
+        }).then(result => {
+            assert.deepEqual(result, { exitCode: 0, output: `${file} is up to date.\n` });
+
+            const babelrc = JSON.parse(fs.readFileSync(file, 'utf8'));
+            assert.equal(babelrc.plugins[0][0], path.relative(path.dirname(file), path.join(__dirname, '../src/internal/ParserOptions')));
+        });
+    });
+
+    it('writes TypeScript declarations', () => {
+        const file = path.join(TemporaryFiles.createDirectory(), 'twist.d.ts');
+        return run([ 'types', '--root', path.join(__dirname, 'testLibrary1'), '--out', file ]).then(result => {
+            assert.deepEqual(result, { exitCode: 0, output: `Wrote ${file}\n` });
+            assert(fs.readFileSync(file, 'utf8').indexOf('"my:component": TwistComponentProps<typeof import("@twist/core").MyComponent>;') !== -1);
+        });
+    });
+
+});
@@ -0,0 +1,79 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it */
+
+const path = require('path');
+const assert = require('assert');
+const Linter = require('eslint').Linter;
+
+const TwistConfiguration = require('../src/TwistConfiguration');
+const EslintConfig = require('../src/EslintConfig');
+
+describe('EslintConfig', () => {
+
+    it('registers the auto-imported components and decorators as globals', () => {
+        const config = new TwistConfiguration('node', { root: path.join(__dirname, 'testLibrary4') });
+        assert.deepEqual(EslintConfig.globals(config), {
+            Store: false,
+            Decorator1: false,
+            Decorator2: false,
+            Decorator3: false,
+            Decorator4: false,
+            Decorator5: false
+        });
+    });
+
+    it('builds a configuration that ESLint accepts Twist code with', () => {
+        const config = new TwistConfiguration('node', { root: path.join(__dirname, 'testLibrary3') });
+        const eslintConfig = Object.assign(EslintConfig.build(config), { rules: { 'no-undef': 'error' } });
+        eslintConfig.globals.DEBUG = false;
+
+        const messages = new Linter().verify(`
+            if (DEBUG) {
+                import debug from 'debug';
+            }
+
+            @Decorator1
+            export class Foo {
+                render() {
+                    const x = do { if (this.y) { 1; } else { 2; } };
+                    return <my:component x={ x } />;
+                }
+            }
+
+            @Decorator6
+            class Bar {
+            }
+        `, eslintConfig);
+
+        assert.deepEqual(messages.map(message => message.message), [ '\'Decorator6\' is not defined.' ]);
+    });
+
+    it('lets react/jsx-no-undef allow the globals if eslint-plugin-react is used', () => {
+        const config = new TwistConfiguration('node', { root: path.join(__dirname, 'testLibrary3') });
+        assert.equal(EslintConfig.build(config).rules, undefined);
+        assert.deepEqual(EslintConfig.build(config, { react: true }).rules, {
+            'react/jsx-no-undef': [ 'error', { allowGlobals: true } ]
+        });
+    });
+
+    it('tells the Babel 7 parser about the parser plugins', () => {
+        const config = new TwistConfiguration('node', { root: null, babelVersion: 7 });
+        const eslintConfig = EslintConfig.build(config);
+        assert.equal(eslintConfig.parser, '@babel/eslint-parser');
+        assert.equal(eslintConfig.parserOptions.allowImportExportEverywhere, true);
+        assert.deepEqual(eslintConfig.parserOptions.babelOptions.parserOpts.plugins, [ 'jsx', 'doExpressions', 'decorators-legacy', 'classProperties', 'asyncGenerators' ]);
+    });
+
+});
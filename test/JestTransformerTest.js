@@ -0,0 +1,74 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it, afterEach */
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+
+const JestTransformer = require('../src/JestTransformer');
+const TemporaryFiles = require('./helpers/TemporaryFiles');
+
+describe('JestTransformer', () => {
+
+    afterEach(() => TemporaryFiles.removeAll());
+
+    it('compiles files with the Twist configuration', () => {
+        const transformer = JestTransformer.createTransformer({ root: '<rootDir>/testLibrary1', context: 'test' });
+        const result = transformer.process('export const x = async () => 1;', path.join(__dirname, 'test.js'), { rootDir: __dirname });
+
+        assert.equal(transformer.getConfig().context, 'test');
+        assert.deepEqual(Object.keys(transformer.getConfig().libraryLocations), [ 'test-library1' ]);
+        assert(result.code.indexOf('exports.x') !== -1);
+        assert.equal(result.map.sources[0], 'test.js');
+    });
+
+    it('uses Jest\'s root directory by default', () => {
+        const transformer = JestTransformer.createTransformer();
+        transformer.getCacheKey('', 'test.js', { configString: '{}', config: { rootDir: path.join(__dirname, 'testLibrary1') } });
+        assert.deepEqual(Object.keys(transformer.getConfig().libraryLocations), [ 'test-library1' ]);
+    });
+
+    it('changes the cache key when the configuration changes', () => {
+        const libraryPath = TemporaryFiles.createLibrary({ options: { polyfill: false } });
+
+        const transformer = JestTransformer.createTransformer({ root: libraryPath });
+        const options = { instrument: false };
+        const key = transformer.getCacheKey('const x = 1;', 'test.js', '{}', options);
+
+        assert.equal(transformer.getCacheKey('const x = 1;', 'test.js', '{}', options), key);
+        assert.notEqual(transformer.getCacheKey('const x = 2;', 'test.js', '{}', options), key);
+        assert.notEqual(transformer.getCacheKey('const x = 1;', 'test.js', '{}', { instrument: true }), key);
+        assert.notEqual(JestTransformer.createTransformer({ root: libraryPath, regenerator: true }).getCacheKey('const x = 1;', 'test.js', '{}', options), key);
+        assert.notEqual(JestTransformer.createTransformer({ root: libraryPath, context: 'test' }).getCacheKey('const x = 1;', 'test.js', '{}', options), key);
+
+        fs.writeFileSync(path.join(libraryPath, '.twistrc'), JSON.stringify({ options: { polyfill: true } }));
+        assert.notEqual(transformer.getCacheKey('const x = 1;', 'test.js', '{}', options), key);
+    });
+
+    it('compiles files with the new configuration when it changes', () => {
+        const libraryPath = TemporaryFiles.createLibrary({ options: { transformImports: true } });
+
+        const transformer = JestTransformer.createTransformer({ root: libraryPath, targets: { browsers: 'chrome 60' } });
+        const code = 'export const x = 1;';
+        const filename = path.join(__dirname, 'test.js');
+        const key = transformer.getCacheKey(code, filename, '{}', {});
+        assert(transformer.process(code, filename, {}).code.indexOf('exports.x') !== -1);
+
+        fs.writeFileSync(path.join(libraryPath, '.twistrc'), JSON.stringify({ options: { transformImports: false } }));
+        assert.notEqual(transformer.getCacheKey(code, filename, '{}', {}), key);
+        assert(transformer.process(code, filename, {}).code.startsWith('export const x'));
+    });
+
+});
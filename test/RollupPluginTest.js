@@ -0,0 +1,70 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it, afterEach */
+
+const path = require('path');
+const assert = require('assert');
+
+const twistRollupPlugin = require('../src/RollupPlugin');
+const TemporaryFiles = require('./helpers/TemporaryFiles');
+
+describe('RollupPlugin', () => {
+
+    afterEach(() => TemporaryFiles.removeAll());
+
+    it('resolves imports of libraries and path aliases', () => {
+        const plugin = twistRollupPlugin({ root: path.join(__dirname, 'testLibrary4') });
+
+        assert.equal(plugin.config.context, 'rollup');
+        assert.equal(plugin.resolveId('test-library3/src/index'), path.join(__dirname, 'testLibrary3/src/index.js'));
+        assert.equal(plugin.resolveId('babel-runtime/helpers/inherits'), require.resolve('../src/third_party/inherits'));
+        assert.equal(plugin.resolveId('test-library3/src/missing'), null);
+        assert.equal(plugin.resolveId('other-module'), null);
+    });
+
+    it('resolves imports with path aliases that are regular expressions', () => {
+        const libraryPath = TemporaryFiles.createLibrary({
+            aliases: { '^lib3/(.*)$': path.join(__dirname, 'testLibrary3/src') + '/\\1' }
+        });
+
+        const plugin = twistRollupPlugin({ root: libraryPath });
+        assert.equal(plugin.resolveId('lib3/index'), path.join(__dirname, 'testLibrary3/src/index.js'));
+        assert.equal(plugin.resolveId('lib3/missing'), null);
+    });
+
+    it('transforms modules with the Twist configuration', () => {
+        const code = 'export const x = async () => 1;';
+        const filename = path.join(__dirname, 'testLibrary1/test.js');
+
+        const result = twistRollupPlugin({ root: path.join(__dirname, 'testLibrary1') }).transform(code, filename);
+        assert(result.code.indexOf('exports.x') !== -1);
+        assert.equal(result.map.sources[0], 'test.js');
+
+        assert.equal(twistRollupPlugin({ root: path.join(__dirname, 'testLibrary1') }).transform(code, path.join(__dirname, 'testLibrary1/node_modules/foo/index.js')), null);
+        assert.equal(twistRollupPlugin({ root: path.join(__dirname, 'testLibrary1') }).transform('.foo {}', path.join(__dirname, 'test.css')), null);
+    });
+
+    it('keeps ES modules if transformImports is false', () => {
+        const code = 'export const x = async () => 1;';
+        const filename = path.join(__dirname, 'testLibrary1/test.js');
+
+        let plugin = twistRollupPlugin({ root: path.join(__dirname, 'testLibrary1'), transformImports: false });
+        assert(plugin.transform(code, filename).code.startsWith('export '));
+
+        // Even in ES5 mode, since Rollup bundles the modules itself
+        plugin = twistRollupPlugin({ root: path.join(__dirname, 'testLibrary1'), transformImports: false, targets: { browsers: 'IE 9' } });
+        assert(plugin.transform(code, filename).code.startsWith('export var x'));
+    });
+
+});
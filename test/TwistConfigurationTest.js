@@ -11,16 +11,22 @@
  *
  */
 
-/* global describe, it */
+/* global describe, it, afterEach */
 
 const path = require('path');
+const fs = require('fs');
 const assert = require('assert');
+const sinon = require('sinon');
 const babel = require('babel-core');
 
 const TwistConfiguration = require('../src/TwistConfiguration');
+const LibraryLoader = require('../src/internal/LibraryLoader');
+const TemporaryFiles = require('./helpers/TemporaryFiles');
 
 describe('TwistConfiguration', () => {
 
+    afterEach(() => TemporaryFiles.removeAll());
+
     it('should be able to load node configuration and get default plugins', () => {
 
         var config = new TwistConfiguration('node', { root: null });
@@ -38,6 +44,34 @@ describe('TwistConfiguration', () => {
         assert.equal(config.getOption('includeBabelRuntime'), true);
     });
 
+    it('should generate Babel 7 plugins and presets', () => {
+        var config = new TwistConfiguration('node', {
+            root: null,
+            babelVersion: 7,
+            includeBabelRuntime: true,
+            targets: { browsers: 'IE 9' }
+        });
+        let options = config.babelOptions;
+        assert.deepEqual(options.plugins.map(plugin => plugin[0]), [
+            '@babel/plugin-transform-runtime',
+            path.join(__dirname, '../src/internal/ParserOptions'),
+            'module-resolver',
+            '@twist/babel-plugin-transform',
+            '@babel/plugin-proposal-decorators',
+            '@babel/plugin-proposal-class-properties',
+            'babel-plugin-transform-async-to-promises',
+            '@babel/plugin-transform-block-scoping',
+            '@babel/plugin-transform-modules-commonjs'
+        ]);
+        assert.deepEqual(options.plugins[0][1], { corejs: 2, regenerator: false });
+        assert.deepEqual(options.plugins[4][1], { legacy: true });
+        assert.equal(options.presets[0][0], '@babel/preset-env');
+        assert.equal(options.presets[0][1].forceAllTransforms, true);
+        assert.equal(options.presets[0][1].targets.uglify, undefined);
+
+        assert.throws(() => config.setOption('babelVersion', 8), /must be one of \[6,7\]/);
+    });
+
     it('loads node configuration with no arguments', () => {
         var config = new TwistConfiguration(undefined, { root: null });
         assert.equal(config.context, 'node');
@@ -113,13 +147,13 @@ describe('TwistConfiguration', () => {
     it('should be able to add load a .twistrc configuration with options', () => {
         // No context options
         var config = new TwistConfiguration('node', { root: path.join(__dirname, 'testLibrary3') });
-        assert.equal(config.getOption('polyfill'), 42);
+        assert.equal(config.getOption('polyfill'), false);
         assert.equal(config.getOption('regenerator'), false);
 
         // Context options (for the webpack context) should override
         config = new TwistConfiguration('webpack', { root: path.join(__dirname, 'testLibrary3') });
-        assert.equal(config.getOption('polyfill'), 1024);
-        assert.equal(config.getOption('regenerator'), 'hello');
+        assert.equal(config.getOption('polyfill'), true);
+        assert.equal(config.getOption('regenerator'), true);
     });
 
     it('should be able to add load a .twistrc configuration that loads other libraries', () => {
@@ -137,6 +171,634 @@ describe('TwistConfiguration', () => {
         });
     });
 
+    it('should be able to add load a .twistrc configuration with environment-specific configuration', () => {
+        const root = path.join(__dirname, 'envLibrary');
+
+        var config = new TwistConfiguration('node', { root, env: 'development' });
+        assert.equal(config.env, 'development');
+        assert.equal(config.getOption('jsxSourceLines'), true);
+        assert.equal(config.getOption('buildName'), 'base');
+        assert.deepEqual(config.components, {});
+
+        config = new TwistConfiguration('node', { root, env: 'test' });
+        assert.equal(config.getOption('jsxSourceLines'), false);
+        assert.deepEqual(Object.keys(config.components), [ 'test:component' ]);
+
+        config = new TwistConfiguration('node', { root, env: 'production' });
+        assert.equal(config.getOption('buildName'), 'production');
+
+        // Context configuration is merged after environment configuration, and can have its own environments
+        config = new TwistConfiguration('webpack', { root, env: 'production' });
+        assert.equal(config.getOption('buildName'), 'webpack-production');
+        assert.deepEqual(config.explain('option', 'buildName').map(record => record.section), [
+            undefined,
+            'env.production',
+            'context.webpack',
+            'context.webpack.env.production'
+        ]);
+    });
+
+    it('should use BABEL_ENV or NODE_ENV as the default environment', () => {
+        const babelEnv = process.env.BABEL_ENV;
+        const nodeEnv = process.env.NODE_ENV;
+        try {
+            delete process.env.BABEL_ENV;
+            process.env.NODE_ENV = 'production';
+            assert.equal(new TwistConfiguration('node', { root: null }).env, 'production');
+            process.env.BABEL_ENV = 'test';
+            assert.equal(new TwistConfiguration('node', { root: null }).env, 'test');
+            delete process.env.BABEL_ENV;
+            delete process.env.NODE_ENV;
+            assert.equal(new TwistConfiguration('node', { root: null }).env, 'development');
+        }
+        finally {
+            delete process.env.BABEL_ENV;
+            delete process.env.NODE_ENV;
+            Object.assign(process.env, JSON.parse(JSON.stringify({ BABEL_ENV: babelEnv, NODE_ENV: nodeEnv })));
+        }
+    });
+
+    it('should order Babel plugins before or after the built-in plugins', () => {
+        const libraryPath = TemporaryFiles.createLibrary({
+            babelPlugins: [
+                [ 'after-twist', {}, { after: 'twist' } ],
+                'custom'
+            ]
+        });
+        const config = new TwistConfiguration('node', { root: libraryPath, includeBabelRuntime: true });
+        config.addBabelPlugin('before-runtime', { option: true }, { before: 'runtime' });
+
+        assert.deepEqual(config.babelOptions.plugins.map(plugin => plugin[0]).slice(0, 7), [
+            'before-runtime',
+            'transform-runtime',
+            'custom',
+            path.join(__dirname, '../src/internal/ParserOptions'),
+            'module-resolver',
+            '@twist/babel-plugin-transform',
+            'after-twist'
+        ]);
+        assert.deepEqual(config.babelOptions.plugins[0][1], { option: true });
+
+        config.addBabelPlugin('cycle', {}, { after: 'twist', before: 'moduleResolver' });
+        assert.throws(() => config.babelOptions, /: cycle -> moduleResolver -> twist -> cycle$/);
+    });
+
+    it('should merge the options of Babel plugins that are added more than once', () => {
+        const config = new TwistConfiguration('node', { root: null });
+        config.addBabelPlugin('transform-decorators-legacy', { a: 1 });
+        config.addBabelPlugin('custom', { a: 1, b: 1 });
+        config.addBabelPlugin('babel-plugin-custom', { b: 2 }, { before: 'twist' });
+        config.addBabelPlugin(require('babel-plugin-transform-decorators-legacy'), { b: 2 });
+
+        assert.deepEqual(config.twistOptions.plugins, [
+            [ 'transform-decorators-legacy', { a: 1, b: 2 } ],
+            [ 'custom', { a: 1, b: 2 }, { before: 'twist' } ]
+        ]);
+        // The built-in decorators plugin is reconfigured, rather than added twice
+        const plugins = config.babelOptions.plugins.filter(plugin => plugin[0] === 'transform-decorators-legacy');
+        assert.deepEqual(plugins, [ [ 'transform-decorators-legacy', { a: 1, b: 2 } ] ]);
+    });
+
+    it('should let libraries remove and replace Babel plugins', () => {
+        const libraryPath = TemporaryFiles.createLibrary({
+            babelPlugins: [ 'custom', 'other' ],
+            replaceBabelPlugins: {
+                'decorators': [ 'my-decorators', { option: true } ],
+                'other': 'replaced-other'
+            },
+            removeBabelPlugins: [ 'custom', 'babel-plugin-transform-class-properties' ]
+        });
+        const config = new TwistConfiguration('node', { root: libraryPath });
+        const names = config.babelOptions.plugins.map(plugin => plugin[0]);
+
+        assert.equal(names.indexOf('custom'), -1);
+        assert.equal(names.indexOf('transform-class-properties'), -1);
+        assert.equal(names.indexOf('transform-decorators-legacy'), -1);
+        assert.equal(names.indexOf('my-decorators'), names.indexOf('@twist/babel-plugin-transform') + 1);
+        assert.deepEqual(config.babelOptions.plugins[names.indexOf('my-decorators')][1], { option: true });
+        assert.notEqual(names.indexOf('replaced-other'), -1);
+        assert.equal(names.indexOf('other'), -1);
+
+        // Adding a plugin again undoes the removal, and the changes survive serialization
+        config.addBabelPlugin('custom');
+        const restored = TwistConfiguration.fromJSON(JSON.parse(JSON.stringify(config.toJSON())));
+        const restoredNames = restored.babelOptions.plugins.map(plugin => plugin[0]);
+        assert.notEqual(restoredNames.indexOf('custom'), -1);
+        assert.equal(restoredNames.indexOf('transform-class-properties'), -1);
+        assert.notEqual(restoredNames.indexOf('my-decorators'), -1);
+    });
+
+    it('should validate options against their definitions', () => {
+        var config = new TwistConfiguration('node', { root: null });
+        assert.throws(() => config.setOption('polyfill', 'yes'),
+            err => err.message === 'Twist Configuration option polyfill must be of type boolean, but (root) set it to "yes".');
+        assert.throws(() => config.setOption('notAnOption', true), /Twist Configuration option notAnOption is not defined/);
+
+        config.setOption('twistPlugin', '@twist/react-babel-plugin');
+        assert.equal(config.babelOptions.plugins.find(plugin => plugin[0] === '@twist/react-babel-plugin')[1].twistPlugin,
+            '@twist/react-babel-plugin');
+    });
+
+    it('should allow libraries to define options', () => {
+        var config = new TwistConfiguration('node', { root: null, renderer: 'dom' });
+        config.defineOption('mode', { type: 'string', default: 'sync', values: [ 'sync', 'async' ], description: 'The mode' });
+        config.defineOption('renderer', { type: 'string', default: 'react' });
+
+        assert.equal(config.getOption('mode'), 'sync');
+        assert.equal(config.getOption('renderer'), 'dom'); // Options passed to the constructor take precedence
+        assert.equal(config.optionDefinitions.mode.description, 'The mode');
+
+        config.setOption('mode', 'async');
+        assert.equal(config.getOption('mode'), 'async');
+        assert.throws(() => config.setOption('mode', 'other'),
+            err => err.message === 'Twist Configuration option mode must be one of ["sync","async"], but (root) set it to "other".');
+
+        // Redefining an option is only allowed if the definition is the same
+        config.defineOption('renderer', { type: 'string', default: 'react' });
+        assert.throws(() => config.defineOption('polyfill', { type: 'string' }),
+            /Twist Configuration option polyfill is already defined \(\(root\) tried to redefine it\)/);
+    });
+
+    it('should be able to serialize and restore a configuration', () => {
+        var config = new TwistConfiguration('webpack', { root: path.join(__dirname, 'testLibrary4'), env: 'test' });
+        const json = JSON.parse(JSON.stringify(config));
+        assert.equal(json.cacheKey, config.cacheKey);
+
+        const restored = TwistConfiguration.fromJSON(json);
+        assert.equal(restored.context, 'webpack');
+        assert.equal(restored.env, 'test');
+        assert.deepEqual(restored.twistOptions, config.twistOptions);
+        assert.deepEqual(restored.babelOptions, config.babelOptions);
+        assert.deepEqual(restored.libraryLocations, config.libraryLocations);
+        assert.equal(restored.currentLibrary.name, '(root)');
+        assert.equal(restored._libraryLoader.libraryInfos[1].parentLibrary, restored._libraryLoader.libraryInfos[0]);
+        assert.equal(restored.cacheKey, json.cacheKey);
+
+        assert.throws(() => TwistConfiguration.fromJSON({ formatVersion: 0 }), /Unsupported Twist configuration format 0/);
+    });
+
+    it('should not be able to serialize a configuration with modules', () => {
+        var config = new TwistConfiguration('node', { root: null });
+        config.addBabelPlugin('plugin1');
+        config.addBabelPlugin(function plugin2() {});
+        assert.throws(() => JSON.stringify(config),
+            /The Twist configuration can't be serialized, because config.babelPlugins\[1\]\[0\] is a module/);
+    });
+
+    it('should compute a cache key from the configuration files, libraries and options', () => {
+        const root = TemporaryFiles.createLibrary({ options: { polyfill: false } }, { name: 'cache-library', version: '1.0.0' });
+
+        const cacheKey = new TwistConfiguration('node', { root }).cacheKey;
+        assert(/^[0-9a-f]{40}$/.test(cacheKey));
+        assert.equal(new TwistConfiguration('node', { root }).cacheKey, cacheKey);
+        assert.notEqual(new TwistConfiguration('webpack', { root }).cacheKey, cacheKey);
+        assert.notEqual(new TwistConfiguration('node', { root, env: 'production' }).cacheKey, cacheKey);
+        assert.notEqual(new TwistConfiguration('node', { root, regenerator: true }).cacheKey, cacheKey);
+
+        // A restored configuration is out of date if any of the files change
+        const restored = TwistConfiguration.fromJSON(JSON.stringify(new TwistConfiguration('node', { root })));
+        assert.equal(restored.cacheKey, cacheKey);
+        fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'cache-library', version: '1.0.1' }));
+        assert.notEqual(restored.cacheKey, cacheKey);
+    });
+
+    it('should explain which library overrode a component', () => {
+        var config = new TwistConfiguration('node', { root: path.join(__dirname, 'testLibrary4') });
+
+        const history = config.explain('component', 'my:component');
+        assert.deepEqual(history.map(record => [ record.library, record.file, record.section ]), [
+            [ 'test-library1', path.join(__dirname, 'testLibrary1', '.twistrc'), undefined ],
+            [ 'test-library4', path.join(__dirname, 'testLibrary4', '.twistrc.js'), undefined ]
+        ]);
+        assert.equal(history[1].previous, history[0].value);
+        assert.deepEqual(history[1].value, { module: 'my-module', export: 'OverriddenComponent' });
+        assert.equal(history[0].chain, `\
+    test-library1 0.1.0
+      └─ loaded by test-library4 0.1.0
+        └─ loaded by (root)`);
+    });
+
+    it('should explain which section of the configuration set an option', () => {
+        var config = new TwistConfiguration('webpack', { root: path.join(__dirname, 'testLibrary3') });
+
+        assert.deepEqual(config.explain('option', 'polyfill').map(record => [ record.section, record.value, record.previous ]), [
+            [ undefined, false, true ],
+            [ 'context.webpack', true, false ]
+        ]);
+        assert.equal(config.explain('babelPlugin', 'plugin1').length, 1);
+        assert.equal(config.explain('babelPlugin', 'babel-plugin-plugin1').length, 1);
+        assert.deepEqual(config.explain('decorator', 'NotADecorator'), []);
+        assert.throws(() => config.explain('foo', 'bar'), /Unknown kind of configuration foo/);
+    });
+
+    it('should warn when unrelated libraries define the same component', () => {
+        const warn = sinon.stub(console, 'warn');
+        let config;
+        try {
+            config = new TwistConfiguration('node', { root: path.join(__dirname, 'collidingLibraries') });
+        }
+        finally {
+            warn.restore();
+        }
+
+        // Only my:component collides; the Store decorators are identical.
+        assert.equal(warn.callCount, 1);
+        assert(warn.firstCall.args[0].startsWith(`\
+The component my:component is defined by both test-library1 and other-library, which don't depend on each other:
+
+    test-library1 0.1.0
+      └─ loaded by colliding-libraries 0.1.0`));
+        assert.deepEqual(config.components['my:component'], { module: 'other-library', export: 'OtherComponent' });
+    });
+
+    it('should not warn when a library overrides a component of a library it loads', () => {
+        const warn = sinon.stub(console, 'warn');
+        try {
+            new TwistConfiguration('node', { root: path.join(__dirname, 'testLibrary4'), strict: true });
+        }
+        finally {
+            warn.restore();
+        }
+        assert.equal(warn.callCount, 0);
+    });
+
+    it('should throw when unrelated libraries define the same component in strict mode', () => {
+        assert.throws(() => new TwistConfiguration('node', { root: path.join(__dirname, 'collidingLibraries'), strict: true }),
+            /The component my:component is defined by both test-library1 and other-library/);
+    });
+
+    it('should be able to load configurations asynchronously', () => {
+        return TwistConfiguration.create('node', { root: path.join(__dirname, 'asyncLibrary') }).then(config => {
+            assert(config instanceof TwistConfiguration);
+            assert.deepEqual(config.components, {
+                'async:component': { module: 'async-library', export: 'async-library' }
+            });
+            assert.deepEqual(Object.keys(config.libraryLocations), [ 'async-library' ]);
+        });
+    });
+
+    it('should be able to load ES module configurations asynchronously, if node supports import()', function() {
+        return LibraryLoader.supportsDynamicImport().then(supported => {
+            if (!supported) {
+                this.skip();
+            }
+            return TwistConfiguration.create('node', { root: path.join(__dirname, 'esmLibrary') });
+        }).then(config => {
+            assert.deepEqual(config.decorators, {
+                EsmDecorator: { module: 'esm-library', export: 'EsmDecorator' }
+            });
+        });
+    });
+
+    it('should explain that ES module configurations need a newer version of node, if it doesn\'t support import()', () => {
+        const supportsDynamicImport = sinon.stub(LibraryLoader, 'supportsDynamicImport').returns(Promise.resolve(false));
+        return TwistConfiguration.create('node', { root: path.join(__dirname, 'esmLibrary') }).then(() => {
+            throw new Error('Expected the configuration to fail to load');
+        }, err => {
+            assert(/esmLibrary\/\.twistrc\.mjs is an ES module, which needs a newer version of node to load/.test(err.message));
+        }).then(() => supportsDynamicImport.restore(), err => {
+            supportsDynamicImport.restore();
+            throw err;
+        });
+    });
+
+    it('should be able to load synchronous configurations asynchronously', () => {
+        return TwistConfiguration.create('webpack', { root: path.join(__dirname, 'testLibrary4') }).then(config => {
+            assert.equal(config.getOption('regenerator'), true);
+            assert.equal(config.components['my:component'].export, 'OverriddenComponent');
+        });
+    });
+
+    it('should fail to load asynchronous configurations synchronously', () => {
+        assert.throws(() => new TwistConfiguration('node', { root: path.join(__dirname, 'asyncLibrary') }),
+            /asyncLibrary\/\.twistrc\.js returned a Promise, so it can only be loaded asynchronously/);
+        assert.throws(() => new TwistConfiguration('node', { root: path.join(__dirname, 'esmLibrary') }),
+            /esmLibrary\/\.twistrc\.mjs is an ES module, which can only be loaded asynchronously/);
+    });
+
+    it('should not leave a rejected Promise from a .twistrc.js unhandled when loading synchronously', () => {
+        const libraryPath = TemporaryFiles.createDirectory();
+        fs.writeFileSync(path.join(libraryPath, 'package.json'), JSON.stringify({ name: 'rejecting-library', version: '0.1.0' }));
+        fs.writeFileSync(path.join(libraryPath, '.twistrc.js'), 'module.exports = () => Promise.reject(new Error("boom"));');
+
+        const unhandledRejection = sinon.spy();
+        process.on('unhandledRejection', unhandledRejection);
+        assert.throws(() => new TwistConfiguration('node', { root: libraryPath }), /can only be loaded asynchronously/);
+        return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+            process.removeListener('unhandledRejection', unhandledRejection);
+            assert.equal(unhandledRejection.callCount, 0);
+        });
+    });
+
+    it('should use the browserslist configuration when targets aren\'t set', () => {
+        const libraryPath = TemporaryFiles.createLibrary({});
+        fs.writeFileSync(path.join(libraryPath, '.browserslistrc'), 'last 1 Chrome versions\n\n[production]\nie 11\n');
+
+        const config = new TwistConfiguration('webpack', { root: libraryPath, env: 'development' });
+        assert.deepEqual(config.targets, { browsers: [ 'last 1 Chrome versions' ] });
+        const preset = config.babelOptions.presets[0];
+        assert.deepEqual(preset[1].targets, { uglify: false, browsers: [ 'last 1 Chrome versions' ] });
+
+        const production = new TwistConfiguration('webpack', { root: libraryPath, env: 'production' });
+        assert.deepEqual(production.babelOptions.presets[0][1].targets, { uglify: true, browsers: [ 'ie 11' ] });
+        assert.deepEqual(TwistConfiguration.fromJSON(JSON.stringify(production)).targets, { browsers: [ 'ie 11' ] });
+
+        // Targets set explicitly take precedence
+        const explicit = new TwistConfiguration('webpack', { root: libraryPath, targets: { node: '8' } });
+        assert.deepEqual(explicit.targets, { node: '8' });
+        explicit.setOption('targets', { browsers: 'safari 9' });
+        assert.deepEqual(explicit.targets, { browsers: 'safari 9' });
+    });
+
+    it('should use the browserslist field of package.json when targets aren\'t set', () => {
+        const libraryPath = TemporaryFiles.createLibrary({});
+        fs.writeFileSync(path.join(libraryPath, 'package.json'), JSON.stringify({
+            name: 'temporary-library',
+            version: '0.1.0',
+            browserslist: { production: [ 'ie 11' ], development: [ 'last 1 Chrome versions' ] }
+        }));
+        const config = new TwistConfiguration('webpack', { root: libraryPath, env: 'production' });
+        assert.deepEqual(config.targets, { browsers: [ 'ie 11' ] });
+
+        const cacheKey = config.cacheKey;
+        fs.writeFileSync(path.join(libraryPath, 'package.json'), JSON.stringify({ name: 'temporary-library', version: '0.1.0' }));
+        assert.notEqual(config.cacheKey, cacheKey);
+        assert.deepEqual(config.targets, { node: 'current' });
+    });
+
+    it('should get the Babel options for several target profiles', () => {
+        const libraryPath = TemporaryFiles.createLibrary({
+            options: {
+                includeBabelRuntime: true,
+                targetProfiles: { modern: { browsers: 'last 1 Chrome versions' }, legacy: { browsers: 'ie 10' } }
+            }
+        });
+        const config = new TwistConfiguration('webpack', { root: libraryPath, transformImports: false });
+        const profiles = config.getBabelOptionsByProfile();
+        assert.deepEqual(Object.keys(profiles), [ 'modern', 'legacy' ]);
+
+        const names = babelOptions => babelOptions.plugins.map(plugin => plugin[0]);
+        assert.equal(profiles.modern.plugins[0][1].polyfill, false);
+        assert.equal(profiles.legacy.plugins[0][1].polyfill, true);
+        assert.equal(profiles.modern.presets[0][1].targets.uglify, false);
+        assert.equal(profiles.legacy.presets[0][1].targets.uglify, true);
+        assert.equal(names(profiles.modern).indexOf('transform-es2015-constants'), -1);
+        assert.notEqual(names(profiles.legacy).indexOf('transform-es2015-constants'), -1);
+        assert.equal(names(profiles.modern).indexOf('transform-es2015-modules-commonjs'), -1);
+        assert.notEqual(names(profiles.legacy).indexOf('transform-es2015-modules-commonjs'), -1);
+        assert.equal(names(profiles.modern).indexOf('fast-async'), -1);
+        assert.notEqual(names(profiles.legacy).indexOf('fast-async'), -1);
+
+        // Profiles can also be passed in, with browsers as a shorthand
+        const legacy = config.getBabelOptionsByProfile({ legacy: 'ie 10' }).legacy;
+        assert.deepEqual(legacy, profiles.legacy);
+
+        assert.throws(() => new TwistConfiguration('node', { root: null }).getBabelOptionsByProfile(),
+            /There are no target profiles to get the Babel options for/);
+    });
+
+    it('should add path aliases relative to the library that declares them', () => {
+        const libraryPath = TemporaryFiles.createLibrary({
+            aliases: {
+                'components': './src/components',
+                '^icons/(.*)$': './assets/\\1.svg',
+                'lodash': 'lodash-es'
+            }
+        });
+        const config = new TwistConfiguration('node', { root: libraryPath });
+        config.addPathAlias('utils', 'src/utils');
+
+        const aliases = config.twistOptions.aliases;
+        assert.equal(aliases.components, path.join(libraryPath, 'src/components'));
+        assert.equal(aliases['^icons/(.*)$'], path.join(libraryPath, 'assets') + '/\\1.svg');
+        assert.equal(aliases.lodash, 'lodash-es');
+        assert.equal(aliases.utils, 'src/utils');
+        assert.deepEqual(config.babelOptions.plugins.find(plugin => plugin[0] === 'module-resolver')[1].alias, aliases);
+        assert.equal(config.explain('pathAlias', 'components')[0].library, 'temporary-library');
+
+        assert.throws(() => config.addPathAlias('^icons/(.*$', './icons'), /isn't a valid regular expression/);
+    });
+
+    it('should detect conflicting path aliases', () => {
+        const libraryA = TemporaryFiles.createLibrary({ aliases: { shared: './a' } });
+        const libraryB = TemporaryFiles.createLibrary({ aliases: { shared: './b' } });
+        fs.writeFileSync(path.join(libraryB, 'package.json'), JSON.stringify({ name: 'other-library', version: '0.1.0' }));
+        const root = TemporaryFiles.createLibrary({ libraries: [ libraryA, libraryB ] });
+        fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'root-library', version: '0.1.0' }));
+
+        assert.throws(() => new TwistConfiguration('node', { root, strict: true }),
+            /The path alias shared is defined by both temporary-library and other-library, which don't depend on each other/);
+
+        const warn = sinon.stub(console, 'warn');
+        let config;
+        try {
+            config = new TwistConfiguration('node', { root });
+            config.addPathAlias('other-library', './somewhere-else');
+        }
+        finally {
+            warn.restore();
+        }
+        assert.equal(warn.callCount, 2);
+        assert(warn.secondCall.args[0].startsWith(`The alias other-library defined by (root) hides the library other-library at ${libraryB}.`));
+        assert.equal(config.twistOptions.aliases.shared, path.join(libraryB, 'b'));
+    });
+
+    it('should only transform the application and the sources of the libraries', () => {
+        const root = TemporaryFiles.createLibrary({});
+        const libraryPath = path.join(root, 'node_modules', 'my-library');
+        fs.mkdirSync(path.join(root, 'node_modules'));
+        fs.mkdirSync(libraryPath);
+        fs.writeFileSync(path.join(libraryPath, 'package.json'), JSON.stringify({
+            name: 'my-library',
+            version: '0.1.0',
+            twist: { sourceRoots: 'lib' }
+        }));
+        fs.writeFileSync(path.join(libraryPath, '.twistrc'), '{}');
+        fs.writeFileSync(path.join(root, '.twistrc'), JSON.stringify({ libraries: [ libraryPath ] }));
+
+        const config = new TwistConfiguration('node', { root });
+        assert.deepEqual(config.sourceRoots, [ path.join(root, 'src'), path.join(libraryPath, 'lib') ]);
+        assert.equal(config.shouldTransform(path.join(root, 'src/index.js')), true);
+        assert.equal(config.shouldTransform(path.join(root, 'test/index.js')), true);
+        assert.equal(config.shouldTransform(path.join(libraryPath, 'lib/index.js')), true);
+        assert.equal(config.shouldTransform(path.join(libraryPath, 'dist/index.js')), false);
+        assert.equal(config.shouldTransform(path.join(root, 'node_modules/other-module/index.js')), false);
+
+        // The application itself can be inside node_modules
+        const nestedRoot = path.join(root, 'node_modules', 'nested-app');
+        fs.mkdirSync(nestedRoot);
+        fs.writeFileSync(path.join(nestedRoot, 'package.json'), JSON.stringify({ name: 'nested-app', version: '0.1.0' }));
+        fs.writeFileSync(path.join(nestedRoot, '.twistrc'), '{}');
+        const nested = new TwistConfiguration('node', { root: nestedRoot });
+        assert.equal(nested.shouldTransform(path.join(nestedRoot, 'test/index.js')), true);
+        assert.equal(nested.shouldTransform(path.join(nestedRoot, 'node_modules/other-module/index.js')), false);
+        assert.equal(nested.shouldTransform(path.join(libraryPath, 'lib/index.js')), false);
+    });
+
+    it('should only transform the sources of linked libraries outside node_modules', () => {
+        const root = path.join(__dirname, 'testLibrary4');
+        const config = new TwistConfiguration('node', { root });
+        assert.equal(config.shouldTransform(path.join(root, 'index.js')), true);
+        assert.equal(config.shouldTransform(path.join(__dirname, 'testLibrary3/src/index.js')), true);
+        assert.equal(config.shouldTransform(path.join(__dirname, 'testLibrary3/dist/index.js')), false);
+        assert.equal(config.shouldTransform(path.join(__dirname, 'testLibrary3/index.js')), false);
+    });
+
+    it('should not transform files outside the application', () => {
+        const config = new TwistConfiguration('node', { root: path.join(__dirname, 'testLibrary4') });
+        assert.equal(config.shouldTransform('/usr/lib/foo.js'), false);
+        assert.equal(config.shouldTransform(path.join(__dirname, 'other.js')), false);
+    });
+
+    it('should be able to reload a configuration', () => {
+        const libraryPath = TemporaryFiles.createLibrary({ options: { polyfill: false } });
+        const config = new TwistConfiguration('node', { root: libraryPath });
+        assert.equal(config.getOption('polyfill'), false);
+
+        fs.writeFileSync(path.join(libraryPath, '.twistrc'), JSON.stringify({ components: { 'my:component': { module: 'foo', export: 'Foo' } } }));
+        assert.equal(config.reload(), config);
+        assert.equal(config.getOption('polyfill'), true);
+        assert.deepEqual(config.components, { 'my:component': { module: 'foo', export: 'Foo' } });
+
+        // If the configuration is invalid, we keep the previous one
+        fs.writeFileSync(path.join(libraryPath, '.twistrc'), '{ invalid');
+        assert.throws(() => config.reload(), /please ensure it is valid JSON/);
+        assert.deepEqual(config.components, { 'my:component': { module: 'foo', export: 'Foo' } });
+    });
+
+    // fs.watchFile() takes the first snapshot of the files asynchronously, so wait before changing them
+    function waitForWatcher() {
+        return new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    it('should reload the configuration when a .twistrc file changes', () => {
+        const libraryPath = TemporaryFiles.createLibrary({ options: { polyfill: false } });
+        const twistrc = path.join(libraryPath, '.twistrc');
+        return TwistConfiguration.create('node', { root: libraryPath }).then(config => {
+            const watcher = config.watch({ interval: 20, delay: 10 });
+            assert.deepEqual(watcher.files.sort(), [
+                twistrc,
+                twistrc + '.js',
+                twistrc + '.mjs',
+                twistrc + '.yaml',
+                twistrc + '.yml',
+                path.join(libraryPath, 'package.json')
+            ]);
+
+            const nextEvent = () => new Promise((resolve, reject) => {
+                watcher.once('change', resolve);
+                watcher.once('error', err => resolve({ err }));
+                setTimeout(() => reject(new Error('Timed out waiting for the watcher')), 5000);
+            });
+
+            // Make sure the modification time changes, since some file systems only have 1s resolution
+            let time = Date.now() / 1000;
+            const touch = (contents) => {
+                fs.writeFileSync(twistrc, contents);
+                time += 10;
+                fs.utimesSync(twistrc, time, time);
+            };
+
+            let event;
+            return waitForWatcher().then(() => {
+                event = nextEvent();
+                touch(JSON.stringify({ options: { polyfill: true, regenerator: true } }));
+                return event;
+            }).then(({ files, changes }) => {
+                assert.deepEqual(files, [ twistrc ]);
+                assert.deepEqual(changes, [
+                    { path: 'polyfill', from: false, to: true },
+                    { path: 'regenerator', from: false, to: true }
+                ]);
+                assert.equal(config.getOption('regenerator'), true);
+
+                event = nextEvent();
+                touch('{ invalid');
+                return event;
+            }).then(({ err }) => {
+                assert(/please ensure it is valid JSON/.test(err.message));
+                assert.equal(config.getOption('regenerator'), true);
+            }).then(() => watcher.close(), err => {
+                watcher.close();
+                throw err;
+            });
+        });
+    });
+
+    it('should keep the previous configuration while reloading asynchronously', () => {
+        return TwistConfiguration.create('node', { root: path.join(__dirname, 'asyncLibrary') }).then(config => {
+            const reloading = config.reload();
+            assert.deepEqual(Object.keys(config.components), [ 'async:component' ]);
+            assert.deepEqual(Object.keys(config.libraryLocations), [ 'async-library' ]);
+            return reloading.then(reloaded => {
+                assert.equal(reloaded, config);
+                assert.deepEqual(Object.keys(config.components), [ 'async:component' ]);
+                config.addComponent('other:component', { module: 'other' });
+                assert.equal(config.explain('component', 'other:component').length, 1);
+            });
+        });
+    });
+
+    it('should reload the configuration when a configuration file is added', () => {
+        const libraryPath = TemporaryFiles.createDirectory();
+        fs.writeFileSync(path.join(libraryPath, 'package.json'), JSON.stringify({ name: 'temporary-library', version: '0.1.0' }));
+        const config = new TwistConfiguration('node', { root: libraryPath });
+        const watcher = config.watch({ interval: 20, delay: 10 });
+
+        return waitForWatcher().then(() => {
+            const event = new Promise(resolve => watcher.once('change', resolve));
+            fs.writeFileSync(path.join(libraryPath, '.twistrc.yml'), 'decorators:\n  - Store\n');
+            return event;
+        }).then(({ files }) => {
+            watcher.close();
+            assert.deepEqual(files, [ path.join(libraryPath, '.twistrc.yml') ]);
+            assert.deepEqual(Object.keys(config.decorators), [ 'Store' ]);
+        });
+    });
+
+    it('should log errors while watching if nothing listens for them', () => {
+        const libraryPath = TemporaryFiles.createLibrary({});
+        const config = new TwistConfiguration('node', { root: libraryPath });
+        const watcher = config.watch({ interval: 20, delay: 10 });
+
+        let warn;
+        return waitForWatcher().then(() => {
+            const warned = new Promise(resolve => {
+                warn = sinon.stub(console, 'warn').callsFake(resolve);
+            });
+            fs.writeFileSync(path.join(libraryPath, '.twistrc'), '{ invalid');
+            const time = Date.now() / 1000 + 10;
+            fs.utimesSync(path.join(libraryPath, '.twistrc'), time, time);
+            return warned;
+        }).then(message => {
+            watcher.close();
+            warn.restore();
+            assert(/^Failed to reload the Twist configuration: .*please ensure it is valid JSON/.test(message));
+        });
+    });
+
+    it('should keep the type declarations up to date while watching', () => {
+        const libraryPath = TemporaryFiles.createLibrary({ decorators: [ 'Store' ] });
+        const twistrc = path.join(libraryPath, '.twistrc');
+        const typeDeclarations = path.join(libraryPath, 'twist.d.ts');
+
+        const config = new TwistConfiguration('node', { root: libraryPath });
+        const watcher = config.watch({ interval: 20, delay: 10, typeDeclarations });
+        assert.equal(fs.readFileSync(typeDeclarations, 'utf8'), config.generateTypeDeclarations());
+        assert(config.generateTypeDeclarations().indexOf('declare const Store: typeof import("temporary-library").Store;') !== -1);
+
+        return waitForWatcher().then(() => {
+            const event = new Promise(resolve => watcher.once('change', resolve));
+            fs.writeFileSync(twistrc, JSON.stringify({ decorators: [ 'Store', 'Action' ] }));
+            const time = Date.now() / 1000 + 10;
+            fs.utimesSync(twistrc, time, time);
+            return event;
+        }).then(() => {
+            watcher.close();
+            assert(fs.readFileSync(typeDeclarations, 'utf8').indexOf('declare const Action: typeof import("temporary-library").Action;') !== -1);
+        });
+    });
+
     it('transforms async without the regenerator transform by default', () => {
         var config = new TwistConfiguration('webpack', {
             root: null,
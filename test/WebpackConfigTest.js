@@ -0,0 +1,75 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it */
+
+const path = require('path');
+const assert = require('assert');
+
+const TwistConfiguration = require('../src/TwistConfiguration');
+const WebpackConfig = require('../src/WebpackConfig');
+
+describe('WebpackConfig', () => {
+
+    it('builds a babel-loader rule for the application and the source folders of the libraries', () => {
+        const config = new TwistConfiguration('webpack', { root: path.join(__dirname, 'testLibrary4') });
+        const rule = WebpackConfig.babelLoaderRule(config);
+
+        assert.deepEqual(rule.test, /\.jsx?$/);
+        assert.equal(rule.include(path.join(__dirname, 'testLibrary3/src/index.js')), true);
+        assert.equal(rule.include(path.join(__dirname, 'testLibrary3/dist/index.js')), false);
+        assert.equal(rule.include(path.join(__dirname, 'testLibrary4/index.js')), true);
+        assert.equal(rule.include(path.join(__dirname, 'testLibrary4/node_modules/foo/index.js')), false);
+        assert.deepEqual(WebpackConfig.includePaths(config), [ path.join(__dirname, 'testLibrary3', 'src') ]);
+        assert.equal(rule.use[0].loader, 'babel-loader');
+        assert.equal(rule.use[0].options.babelrc, false);
+        assert.deepEqual(rule.use[0].options.plugins, config.babelOptions.plugins);
+        assert.deepEqual(rule.use[0].options.presets, config.babelOptions.presets);
+
+        assert.deepEqual(WebpackConfig.babelLoaderRule(config, { test: /\.js$/ }).test, /\.js$/);
+    });
+
+    it('builds the aliases from the library locations and path aliases', () => {
+        const config = new TwistConfiguration('webpack', { root: path.join(__dirname, 'testLibrary1') });
+
+        assert.deepEqual(WebpackConfig.build(config).resolve.alias, {
+            'test-library1': path.join(__dirname, 'testLibrary1'),
+            'babel-runtime/helpers/inherits': require.resolve('../src/third_party/inherits')
+        });
+    });
+
+    it('builds webpack plugins for path aliases that are regular expressions', () => {
+        const config = new TwistConfiguration('webpack', { root: null });
+        config.addPathAlias('^icons/(.*)$', '/path/to/icons/\\1.svg');
+        config.addPathAlias('components', '/path/to/components');
+
+        class NormalModuleReplacementPlugin {
+            constructor(pattern, replace) {
+                this.pattern = pattern;
+                this.replace = replace;
+            }
+        }
+        const webpackConfig = WebpackConfig.build(config, { NormalModuleReplacementPlugin });
+
+        assert.equal(webpackConfig.resolve.alias.components, '/path/to/components');
+        assert.equal(webpackConfig.resolve.alias['^icons/(.*)$'], undefined);
+        assert.equal(webpackConfig.plugins.length, 1);
+        assert.deepEqual(webpackConfig.plugins[0].pattern, /^icons\/(.*)$/);
+        const resource = { request: 'icons/close' };
+        webpackConfig.plugins[0].replace(resource);
+        assert.equal(resource.request, '/path/to/icons/close.svg');
+
+        assert.deepEqual(WebpackConfig.build(config).plugins, []);
+    });
+
+});
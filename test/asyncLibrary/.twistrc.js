@@ -0,0 +1,17 @@
+const path = require('path');
+const fs = require('fs');
+
+module.exports = function(options) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(path.join(__dirname, 'package.json'), { encoding: 'utf8' }, (err, contents) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve({
+                components: [
+                    [ options.componentName || 'async:component', { export: JSON.parse(contents).name } ]
+                ]
+            });
+        });
+    });
+};
@@ -0,0 +1,8 @@
+const path = require('path');
+
+module.exports = {
+    libraries: [
+        path.join(__dirname, '..', 'testLibrary1'),
+        path.join(__dirname, 'testLibrary1v2')
+    ]
+};
@@ -0,0 +1,7 @@
+export default async function() {
+    return {
+        decorators: [
+            'EsmDecorator'
+        ]
+    };
+}
@@ -0,0 +1,68 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directories = [];
+
+function remove(file) {
+    if (fs.lstatSync(file).isDirectory()) {
+        fs.readdirSync(file).forEach(child => remove(path.join(file, child)));
+        fs.rmdirSync(file);
+    }
+    else {
+        fs.unlinkSync(file);
+    }
+}
+
+/**
+ * Temporary folders for tests that need to write files. Call `removeAll()` after each test to clean them up.
+ */
+module.exports = class TemporaryFiles {
+
+    /**
+     * Create an empty temporary folder.
+     * @return {string} The path of the folder
+     */
+    static createDirectory() {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'twist-configuration-'));
+        directories.push(directory);
+        return directory;
+    }
+
+    /**
+     * Create a library in a temporary folder, with a package.json and a .twistrc file.
+     * @param {Object} twistrc The contents of the .twistrc file
+     * @param {Object} [packageJson] The contents of package.json
+     * @return {string} The path of the library
+     */
+    static createLibrary(twistrc, packageJson = { name: 'temporary-library', version: '0.1.0' }) {
+        const libraryPath = TemporaryFiles.createDirectory();
+        fs.writeFileSync(path.join(libraryPath, 'package.json'), JSON.stringify(packageJson));
+        fs.writeFileSync(path.join(libraryPath, '.twistrc'), JSON.stringify(twistrc));
+        return libraryPath;
+    }
+
+    /**
+     * Remove all of the temporary folders.
+     */
+    static removeAll() {
+        directories.splice(0).forEach(directory => {
+            if (fs.existsSync(directory)) {
+                remove(directory);
+            }
+        });
+    }
+};
@@ -0,0 +1,85 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it, afterEach */
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const BabelConfigFile = require('../../src/internal/BabelConfigFile');
+const TemporaryFiles = require('../helpers/TemporaryFiles');
+
+const root = path.join(__dirname, '..', '..');
+
+describe('BabelConfigFile', () => {
+
+    afterEach(() => TemporaryFiles.removeAll());
+
+    it('turns absolute paths into relative paths and package references', () => {
+        const babelOptions = {
+            plugins: [
+                [ path.join(root, 'src/internal/ParserOptions'), {} ],
+                [ 'module-resolver', { alias: {
+                    'my-app': path.join(root, 'src'),
+                    'my-library': path.join(root, 'node_modules/my-library')
+                } } ]
+            ],
+            presets: [
+                [ 'env', { targets: { node: 'current' } } ]
+            ]
+        };
+
+        assert.deepEqual(JSON.parse(BabelConfigFile.generate(babelOptions, path.join(root, '.babelrc'))), {
+            plugins: [
+                [ './src/internal/ParserOptions', {} ],
+                [ 'module-resolver', { alias: { 'my-app': './src', 'my-library': 'my-library' }, cwd: 'babelrc' } ]
+            ],
+            presets: [
+                [ 'env', { targets: { node: 'current' } } ]
+            ]
+        });
+        assert.deepEqual(JSON.parse(BabelConfigFile.generate(babelOptions, path.join(root, 'test/.babelrc'))).plugins[0][0], '../src/internal/ParserOptions');
+    });
+
+    it('refers to modules by the file they were loaded from', () => {
+        const babelOptions = {
+            plugins: [
+                [ require('babel-plugin-transform-class-properties'), {} ]
+            ],
+            presets: []
+        };
+        assert.deepEqual(JSON.parse(BabelConfigFile.generate(babelOptions, path.join(root, '.babelrc'))).plugins[0][0],
+            'babel-plugin-transform-class-properties/lib/index.js');
+        assert.deepEqual(JSON.parse(BabelConfigFile.generate(babelOptions, path.join(root, '.babelrc'), 7)).plugins[0][0],
+            'module:babel-plugin-transform-class-properties/lib/index.js');
+
+        babelOptions.plugins.push([ function myPlugin() {}, {} ]);
+        assert.throws(() => BabelConfigFile.generate(babelOptions, '.babelrc'), err => err.message
+            === 'Can\'t generate .babelrc, because plugins[1][0] is a module that wasn\'t loaded from a file - please refer to it by name instead.');
+    });
+
+    it('writes a babel.config.js file and checks whether it is up to date', () => {
+        const file = path.join(TemporaryFiles.createDirectory(), 'babel.config.js');
+        const babelOptions = { plugins: [ [ 'transform-class-properties', {} ] ], presets: [] };
+
+        assert.equal(BabelConfigFile.isUpToDate(babelOptions, file), false);
+        BabelConfigFile.write(babelOptions, file);
+        assert.equal(BabelConfigFile.isUpToDate(babelOptions, file), true);
+        assert.deepEqual(require(file), { plugins: [ [ 'transform-class-properties', {} ] ], presets: [] });
+        assert(fs.readFileSync(file, 'utf8').startsWith('// Generated from the Twist configuration by "twist-config babelrc"'));
+
+        babelOptions.plugins.push([ 'transform-decorators-legacy', {} ]);
+        assert.equal(BabelConfigFile.isUpToDate(babelOptions, file), false);
+    });
+
+});
@@ -0,0 +1,37 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it */
+
+const assert = require('assert');
+const BabelPluginIdentity = require('../../src/internal/BabelPluginIdentity');
+
+describe('BabelPluginIdentity', () => {
+
+    it('treats the different ways of referring to a plugin as the same plugin', () => {
+        const mod = require('babel-plugin-transform-class-properties');
+        assert(BabelPluginIdentity.isSame('transform-class-properties', 'babel-plugin-transform-class-properties'));
+        assert(BabelPluginIdentity.isSame('transform-class-properties', mod));
+        assert(BabelPluginIdentity.isSame(mod, 'module:babel-plugin-transform-class-properties'));
+        assert(!BabelPluginIdentity.isSame('transform-class-properties', 'transform-decorators-legacy'));
+    });
+
+    it('identifies plugins that can\'t be resolved by name', () => {
+        const plugin = () => ({});
+        assert.equal(BabelPluginIdentity.getKey('not-a-plugin'), 'babel-plugin-not-a-plugin');
+        assert.equal(BabelPluginIdentity.getKey('@scope/not-a-plugin'), '@scope/babel-plugin-not-a-plugin');
+        assert(BabelPluginIdentity.isSame(plugin, plugin));
+        assert(!BabelPluginIdentity.isSame(plugin, () => ({})));
+    });
+
+});
@@ -44,4 +44,74 @@ describe('BabelPluginsBuilder', () => {
         assert.equal(options.presets[0][0], 'env');
     });
 
+    it('keeps plugins in the order they were added by default', () => {
+        let plugins = new BabelPluginsBuilder();
+        plugins.add('a', {}, { name: 'first' });
+        plugins.add('b');
+        plugins.add('c', { option: true });
+        assert.deepEqual(plugins.build().plugins, [ [ 'a', {} ], [ 'b', {} ], [ 'c', { option: true } ] ]);
+    });
+
+    it('orders plugins before and after other plugins', () => {
+        let plugins = new BabelPluginsBuilder();
+        plugins.add('runtime');
+        plugins.add('late', {}, { after: 'twist' });
+        plugins.add('early', {}, { before: [ 'runtime' ] });
+        plugins.add('custom');
+        plugins.add('between', {}, { after: 'custom', before: 'twist' });
+        plugins.add('missing', {}, { after: 'not-a-plugin' });
+        plugins.add('parser');
+        plugins.add('twist');
+        plugins.add('decorators');
+        assert.deepEqual(plugins.build().plugins.map(plugin => plugin[0]), [
+            'early', 'runtime', 'custom', 'between', 'missing', 'parser', 'twist', 'late', 'decorators'
+        ]);
+    });
+
+    it('fails to order plugins with a cycle', () => {
+        let plugins = new BabelPluginsBuilder();
+        plugins.add('a');
+        plugins.add('b', {}, { after: 'c' });
+        plugins.add('c', {}, { after: 'd' });
+        plugins.add('d', {}, { after: 'b' });
+        assert.throws(() => plugins.build(), err => err.message
+            === 'The Babel plugins can\'t be ordered, because their before/after constraints form a cycle '
+                + '(where a -> b means that a must come before b): d -> c -> b -> d');
+    });
+
+    it('removes plugins by name or module', () => {
+        let plugins = new BabelPluginsBuilder();
+        plugins.addBuiltin('constants', 'transform-es2015-constants');
+        plugins.addBuiltin('classProperties', 'transform-class-properties');
+        plugins.add('a');
+        plugins.remove('constants');
+        plugins.remove(require('babel-plugin-transform-class-properties'));
+        assert.deepEqual(plugins.build().plugins, [ [ 'a', {} ] ]);
+    });
+
+    it('replaces plugins, keeping their position', () => {
+        let plugins = new BabelPluginsBuilder();
+        plugins.addBuiltin('decorators', 'transform-decorators-legacy');
+        plugins.add('a', {}, { after: 'decorators' });
+        plugins.addBuiltin('classProperties', 'transform-class-properties', { loose: true });
+        plugins.replace('decorators', 'my-decorators', { option: true });
+        plugins.replace('babel-plugin-transform-class-properties', 'my-class-properties');
+        assert.deepEqual(plugins.build().plugins, [
+            [ 'my-decorators', { option: true } ],
+            [ 'a', {} ],
+            [ 'my-class-properties', {} ]
+        ]);
+    });
+
+    it('merges the options of custom plugins into the same built-in plugin', () => {
+        let plugins = new BabelPluginsBuilder();
+        plugins.addBuiltin('modules', 'transform-es2015-modules-commonjs', { loose: true });
+        plugins.add('a');
+        plugins.add(require('babel-plugin-transform-es2015-modules-commonjs'), { strict: true });
+        assert.deepEqual(plugins.build().plugins, [
+            [ 'transform-es2015-modules-commonjs', { loose: true, strict: true } ],
+            [ 'a', {} ]
+        ]);
+    });
+
 });
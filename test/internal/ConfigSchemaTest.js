@@ -0,0 +1,82 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it */
+
+const assert = require('assert');
+const ConfigSchema = require('../../src/internal/ConfigSchema');
+
+describe('ConfigSchema', () => {
+
+    it('accepts valid configurations', () => {
+        assert.deepEqual(ConfigSchema.validate({}), []);
+        assert.deepEqual(ConfigSchema.validate({
+            libraries: [ 'lib1', [ 'lib2', { some: 'option' } ] ],
+            decorators: [
+                'Decorator1',
+                [ 'Decorator2', { module: '@twist/test', inherits: 'BaseClass' } ],
+                [ 'Decorator3', { inherits: { module: '@twist/test', export: 'BaseClass' } } ],
+                undefined
+            ],
+            components: {
+                'my:component': { module: 'my-module', export: 'MyComponent' }
+            },
+            babelPlugins: [ 'plugin1', [ function() {}, { option: true } ], [ 'plugin2', {}, { after: 'twist', before: [ 'decorators' ] } ] ],
+            replaceBabelPlugins: { decorators: [ 'my-decorators', { option: true } ], plugin3: 'plugin4' },
+            removeBabelPlugins: [ 'classProperties' ],
+            aliases: { components: './src/components', '^icons/(.*)$': './assets/\\1.svg' },
+            options: { polyfill: true },
+            context: {
+                webpack: {
+                    options: { polyfill: false }
+                }
+            }
+        }), []);
+    });
+
+    it('reports the path of invalid values', () => {
+        assert.deepEqual(ConfigSchema.validate({
+            decorators: [
+                [ 'Store', { inherits: { module: '@twist/core' } } ],
+                [ 'Other', { inherits: 42 } ]
+            ],
+            components: {
+                'my:component': { module: 'my-module', exports: 'MyComponent' }
+            },
+            babelPlugins: 'plugin1',
+            context: {
+                webpack: {
+                    babelPlugins: [ [ 'plugin1', {}, { after: 42, phase: 'late' } ] ],
+                    options: [],
+                    component: []
+                }
+            }
+        }), [
+            { path: 'decorators[0][1].inherits', message: 'is missing the required "export" property' },
+            { path: 'decorators[1][1].inherits', message: 'must be of type string or object' },
+            { path: 'components["my:component"].exports', message: 'is not a recognized property' },
+            { path: 'babelPlugins', message: 'must be an array or an object' },
+            { path: 'context.webpack.babelPlugins[0][2].after', message: 'must be of type string or array' },
+            { path: 'context.webpack.babelPlugins[0][2].phase', message: 'is not a recognized property' },
+            { path: 'context.webpack.options', message: 'must be of type object' },
+            { path: 'context.webpack.component', message: 'is not a recognized property' }
+        ]);
+    });
+
+    it('rejects a configuration that is not an object', () => {
+        assert.deepEqual(ConfigSchema.validate([]), [
+            { path: '(root)', message: 'must be of type object' }
+        ]);
+    });
+
+});
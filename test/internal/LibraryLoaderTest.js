@@ -11,16 +11,19 @@
  *
  */
 
-/* global describe, it */
+/* global describe, it, afterEach */
 
 const path = require('path');
 const fs = require('fs');
 const sinon = require('sinon');
 const assert = require('assert');
 const LibraryLoader = require('../../src/internal/LibraryLoader');
+const TemporaryFiles = require('../helpers/TemporaryFiles');
 
 describe('LibraryLoader', () => {
 
+    afterEach(() => TemporaryFiles.removeAll());
+
     it('load library with .twistrc file', () => {
         const config = {
             mergeConfig: config => {
@@ -63,6 +66,64 @@ describe('LibraryLoader', () => {
         assert.equal(config.mergeConfig.callCount, 1);
     });
 
+    it('load library with configuration in package.json', () => {
+        const config = {
+            mergeConfig: sinon.spy()
+        };
+        const loader = new LibraryLoader(config);
+        loader.load(path.join(__dirname, '../packageJsonLibrary'));
+
+        assert.deepEqual(config.mergeConfig.firstCall.args[0], {
+            components: [
+                [ 'package:component', { export: 'PackageComponent' } ]
+            ]
+        });
+        assert.equal(loader.libraryInfos[0].configFile, path.join(__dirname, '../packageJsonLibrary/package.json'));
+        assert.deepEqual(loader.libraryInfos[0].peerLibraries, { 'test-library1': '^0.1.0' });
+        assert.deepEqual(loader.libraryInfos[0].sourceRoots, [
+            path.join(__dirname, '../packageJsonLibrary/src'),
+            path.join(__dirname, '../packageJsonLibrary/lib')
+        ]);
+        assert(loader.libraryInfos[0].containsSource(path.join(__dirname, '../packageJsonLibrary/lib/index.js')));
+        assert(!loader.libraryInfos[0].containsSource(path.join(__dirname, '../packageJsonLibrary/test/index.js')));
+    });
+
+    it('load library with .twistrc.yml file', () => {
+        const config = {
+            mergeConfig: sinon.spy()
+        };
+        const loader = new LibraryLoader(config);
+        loader.load(path.join(__dirname, '../yamlLibrary'));
+
+        assert.deepEqual(loader.libraryInfos[0].sourceRoots, [ path.join(__dirname, '../yamlLibrary/src') ]);
+        assert.deepEqual(config.mergeConfig.firstCall.args[0], {
+            decorators: [
+                [ 'Store', { inherits: 'BaseStore' } ]
+            ],
+            components: {
+                'yaml:component': { export: 'YamlComponent' }
+            },
+            options: {
+                polyfill: false
+            }
+        });
+    });
+
+    it('should fail to load library with more than one configuration', () => {
+        const loader = new LibraryLoader({ mergeConfig: sinon.spy() });
+        const libraryPath = path.join(__dirname, '../multipleConfigLibrary');
+        assert.throws(() => loader.load(libraryPath), err => err.message === `\
+multiple-config-library has more than one configuration, please use only one of:
+
+    ${path.join(libraryPath, '.twistrc')}
+    ${path.join(libraryPath, 'package.json')} (twist field)
+
+    multiple-config-library 0.1.0
+      └─ loaded by (root)
+
+`);
+    });
+
     it('should load library details from package.json', () => {
         sinon.spy(console, 'warn');
 
@@ -85,6 +146,78 @@ describe('LibraryLoader', () => {
             `Invalid .twistrc file at ${require.resolve(__dirname + '/../invalidLibrary/.twistrc')} - please ensure it is valid JSON`);
     });
 
+    it('should fail to load library with a .twistrc file that does not match the schema', () => {
+        const config = {
+            mergeConfig: sinon.spy()
+        };
+        const loader = new LibraryLoader(config);
+        const libraryPath = path.join(__dirname, '../invalidSchemaLibrary');
+        assert.throws(() => loader.load(libraryPath), err => err.message === `\
+Invalid configuration for invalid-schema-library in ${path.join(libraryPath, '.twistrc')}:
+
+    decorators[0][1].inherits: is missing the required "export" property
+    component: is not a recognized property
+
+    invalid-schema-library 0.1.0
+      └─ loaded by (root)
+
+`);
+        assert.equal(config.mergeConfig.callCount, 0);
+    });
+
+    it('should deduplicate libraries whose versions satisfy the declared peer library ranges', () => {
+        const config = {
+            mergeConfig: sinon.spy(config => (config.libraries || []).forEach(lib => loader.load(lib)))
+        };
+        const loader = new LibraryLoader(config);
+        loader.load(path.join(__dirname, '../dedupedLibraries'));
+
+        assert.deepEqual(loader.libraryInfos.map(info => [ info.name, info.version ]), [
+            [ 'deduped-libraries', '0.1.0' ],
+            [ 'test-library1', '0.1.0' ]
+        ]);
+        assert.equal(loader.deduplicatedLibraries.length, 1);
+        assert.equal(loader.deduplicatedLibraries[0].library.version, '0.1.5');
+        assert.equal(loader.deduplicatedLibraries[0].library.path, path.join(__dirname, '../dedupedLibraries/testLibrary1v1'));
+        assert.equal(loader.deduplicatedLibraries[0].usedLibrary, loader.libraryInfos[1]);
+        assert.equal(loader.currentLibrary.name, '(root)');
+
+        // The deduplicated library's configuration isn't merged
+        assert.equal(config.mergeConfig.callCount, 2);
+    });
+
+    it('should fail to load libraries whose versions do not satisfy the declared peer library ranges', () => {
+        const loader = new LibraryLoader({ mergeConfig: config => (config.libraries || []).forEach(lib => loader.load(lib)) });
+        assert.throws(() => loader.load(path.join(__dirname, '../conflictingLibraries')), err => err.message === `\
+You're trying to load test-library1 0.2.0, but test-library1 0.1.0 was already loaded:
+
+    test-library1 0.2.0
+      └─ loaded by conflicting-libraries 0.1.0
+        └─ loaded by (root)
+
+    test-library1 0.1.0
+      └─ loaded by conflicting-libraries 0.1.0
+        └─ loaded by (root)
+
+    conflicting-libraries requires test-library1 ^0.2.0
+
+test-library1 0.2.0 would satisfy these ranges, but the copy that's loaded first is always used - please make sure \
+that test-library1 0.2.0 is loaded first, or that there's only one copy of it.
+
+`);
+    });
+
+    it('should only suggest loading the other copy first if it satisfies the peer library ranges', () => {
+        const root = TemporaryFiles.createLibrary({
+            libraries: [ path.join(__dirname, '../testLibrary1'), path.join(__dirname, '../conflictingLibraries/testLibrary1v2') ]
+        }, { name: 'newer-libraries', version: '0.1.0', twist: { peerLibraries: { 'test-library1': '^0.3.0' } } });
+        const loader = new LibraryLoader({ mergeConfig: config => (config.libraries || []).forEach(lib => loader.load(lib)) });
+        assert.throws(() => loader.load(root), err => err.message.endsWith(`\
+    newer-libraries requires test-library1 ^0.3.0
+
+`));
+    });
+
     it('loading libraries & duplicate handling', () => {
         const loader = new LibraryLoader();
 
@@ -135,5 +268,9 @@ You're trying to load LibraryB 4.0, but LibraryB 2.0 was already loaded:
         assert.equal(loader.libraryInfos.length, 4);
         assert.deepEqual(loader.libraryInfos.map(info => info.version), [ '1.0', '2.0', '3.0', '4.0' ]);
         assert.deepEqual(loader.libraryInfos.map(info => info.name), [ 'LibraryA', 'LibraryB', 'LibraryC', 'LibraryB' ]);
+
+        fs.existsSync.restore();
+        fs.readFileSync.restore();
+        LibraryLoader.getRootDir.restore();
     });
 });
@@ -38,4 +38,19 @@ describe('ParserOptions', () => {
         });
     });
 
+    it('should use the Babel 7 names of the parser plugins with Babel 7', () => {
+
+        var opts = { plugins: [] };
+        ParserOptions({ version: '7.0.0' }).manipulateOptions({ filename: 'test.jsx' }, opts);
+
+        assert.deepEqual(opts.plugins, [
+            'jsx',
+            'doExpressions',
+            'decorators-legacy',
+            'classProperties',
+            'asyncGenerators'
+        ]);
+        assert.deepEqual(ParserOptions.getParserPlugins(), ParserOptions.getParserPlugins(6));
+    });
+
 });
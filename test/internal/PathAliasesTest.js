@@ -0,0 +1,56 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it */
+
+const path = require('path');
+const assert = require('assert');
+const PathAliases = require('../../src/internal/PathAliases');
+
+describe('PathAliases', () => {
+
+    const aliases = {
+        'lib': '/path/to/lib',
+        '^icons/(.*)$': '/path/to/icons/\\1.svg',
+        'lib/components': '/path/to/components',
+        '^(.*)\\.css$': '\\1.scss'
+    };
+
+    it('resolves the longest matching prefix, then the first matching pattern', () => {
+        assert.equal(PathAliases.resolve(aliases, 'lib'), '/path/to/lib');
+        assert.equal(PathAliases.resolve(aliases, 'lib/index'), '/path/to/lib/index');
+        assert.equal(PathAliases.resolve(aliases, 'lib/components/Button'), '/path/to/components/Button');
+        assert.equal(PathAliases.resolve(aliases, 'library'), null);
+        assert.equal(PathAliases.resolve(aliases, 'icons/close'), '/path/to/icons/close.svg');
+        assert.equal(PathAliases.resolve(aliases, 'icons/close.css'), '/path/to/icons/close.css.svg');
+        assert.equal(PathAliases.resolve(aliases, './styles.css'), './styles.scss');
+    });
+
+    it('sorts aliases into the order they are tried in', () => {
+        assert.deepEqual(Object.keys(PathAliases.sort(aliases)), [ 'lib/components', 'lib', '^icons/(.*)$', '^(.*)\\.css$' ]);
+        assert.deepEqual(Object.keys(PathAliases.prefixes(aliases)), [ 'lib', 'lib/components' ]);
+        assert.deepEqual(PathAliases.patterns(aliases).map(alias => alias.pattern), [ /^icons\/(.*)$/, /^(.*)\.css$/ ]);
+    });
+
+    it('resolves relative paths from the library', () => {
+        assert.equal(PathAliases.resolveTarget('./src/components', '/path/to/lib'), path.resolve('/path/to/lib/src/components'));
+        assert.equal(PathAliases.resolveTarget('lodash-es', '/path/to/lib'), 'lodash-es');
+    });
+
+    it('validates aliases', () => {
+        assert.throws(() => PathAliases.validate('^icons/(.*$', './icons/\\1'), /The alias \^icons\/\(\.\*\$ isn't a valid regular expression/);
+        assert.throws(() => PathAliases.validate('icons', {}), /The path of the alias icons must be a string, but it's \{\}/);
+        PathAliases.validate('^icons/(.*)$', './icons/\\1');
+    });
+
+});
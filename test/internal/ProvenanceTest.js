@@ -0,0 +1,60 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it */
+
+const assert = require('assert');
+const Provenance = require('../../src/internal/Provenance');
+
+describe('Provenance', () => {
+
+    it('records changes by identity, in order', () => {
+        const library = {
+            name: 'my-library',
+            version: '1.0.0',
+            configFile: '/path/to/.twistrc',
+            getLibraryChainStackTrace: () => '    my-library 1.0.0'
+        };
+        const plugin = function() {};
+
+        const provenance = new Provenance();
+        provenance.record('babelPlugin', plugin, library, 'context.webpack', { loose: true });
+        provenance.record('option', 'polyfill', library, undefined, false, true);
+
+        assert.deepEqual(provenance.explain('babelPlugin', plugin), [ {
+            library: 'my-library',
+            version: '1.0.0',
+            file: '/path/to/.twistrc',
+            section: 'context.webpack',
+            value: { loose: true },
+            previous: undefined,
+            chain: '    my-library 1.0.0'
+        } ]);
+        assert.deepEqual(provenance.explain('babelPlugin', function() {}), []);
+        assert.equal(provenance.explain('option', 'polyfill')[0].previous, true);
+    });
+
+    it('records changes to Babel plugins by the module they resolve to', () => {
+        const library = { name: 'my-library', getLibraryChainStackTrace: () => '    my-library' };
+
+        const provenance = new Provenance();
+        provenance.record('babelPlugin', 'transform-class-properties', library, undefined, { spec: true });
+
+        assert.equal(provenance.explain('babelPlugin', 'transform-class-properties').length, 1);
+        assert.equal(provenance.explain('babelPlugin', 'babel-plugin-transform-class-properties').length, 1);
+        assert.equal(provenance.explain('babelPlugin', require('babel-plugin-transform-class-properties')).length, 1);
+        assert.equal(provenance.lastLibrary('babelPlugin', 'babel-plugin-transform-class-properties'), library);
+        assert.deepEqual(provenance.explain('babelPlugin', 'transform-decorators-legacy'), []);
+    });
+
+});
@@ -11,13 +11,18 @@
  *
  */
 
-/* global describe, it */
+/* global describe, it, afterEach */
 
+const fs = require('fs');
+const path = require('path');
 const assert = require('assert');
 const TargetsMeta = require('../../src/internal/TargetsMeta');
+const TemporaryFiles = require('../helpers/TemporaryFiles');
 
 describe('TargetsMeta', () => {
 
+    afterEach(() => TemporaryFiles.removeAll());
+
     it('doTargetsRequireES5', () => {
         assert.equal(TargetsMeta.doTargetsRequireES5({ browsers: 'ie 9' }), true);
         assert.equal(TargetsMeta.doTargetsRequireES5({ browsers: 'last 1 Chrome versions' }), false);
@@ -33,4 +38,52 @@ describe('TargetsMeta', () => {
         assert.equal(TargetsMeta.doTargetsRequireConstTransform({ torqWebCompiler: 'es6' }), false);
     });
 
+    it('requiresFeature', () => {
+        assert.equal(TargetsMeta.requiresFeature({ browsers: 'ie 11' }, 'classes'), true);
+        assert.equal(TargetsMeta.requiresFeature({ browsers: 'ie 11' }, 'const'), false);
+        assert.equal(TargetsMeta.requiresFeature({ browsers: [ 'chrome 55', 'safari 10.1' ] }, 'async-functions'), true);
+        assert.equal(TargetsMeta.requiresFeature({ browsers: [ 'chrome 55', 'safari 11' ] }, 'async-functions'), false);
+        assert.equal(TargetsMeta.requiresFeature({ browsers: 'ios_saf 11.0-11.2' }, 'object-rest-spread'), true);
+        assert.equal(TargetsMeta.requiresFeature({ browsers: 'android 4.4.3-4.4.4' }, 'const'), false);
+        assert.equal(TargetsMeta.requiresFeature({ browsers: 'op_mini all' }, 'template-literals'), true);
+
+        // Node versions are checked along with the browsers
+        assert.equal(TargetsMeta.requiresFeature({ browsers: 'last 1 Chrome versions', node: '7.0' }, 'async-functions'), true);
+        assert.equal(TargetsMeta.requiresFeature({ browsers: 'last 1 Chrome versions', node: 'current' }, 'async-functions'), false);
+
+        // torq's web compiler supports ES2015 in es6 mode, and leaves it to the browsers in es5 mode
+        assert.equal(TargetsMeta.requiresFeature({ torqWebCompiler: 'es6' }, 'classes'), false);
+        assert.equal(TargetsMeta.requiresFeature({ torqWebCompiler: 'es6', browsers: 'chrome 60' }, 'async-functions'), false);
+        assert.equal(TargetsMeta.requiresFeature({ torqWebCompiler: 'es6', browsers: 'ie 11' }, 'async-functions'), true);
+        assert.equal(TargetsMeta.requiresFeature({ torqWebCompiler: 'es5', browsers: 'chrome 60' }, 'const'), false);
+        assert.equal(TargetsMeta.requiresFeature({ torqWebCompiler: 'es5', browsers: 'ie 10' }, 'const'), true);
+        assert.equal(TargetsMeta.doTargetsRequireES5({ torqWebCompiler: 'es5', browsers: 'chrome 60' }), false);
+
+        assert.throws(() => TargetsMeta.requiresFeature({}, 'teleportation'), /Unknown feature teleportation - expected one of es6-builtins, const/);
+    });
+
+    it('findBrowserslistQueries', () => {
+        const dir = TemporaryFiles.createDirectory();
+        assert.equal(TargetsMeta.findBrowserslistQueries(dir, 'production'), undefined);
+
+        fs.writeFileSync(path.join(dir, '.browserslistrc'), 'last 1 Chrome versions\n\n[production]\nie 11\n');
+        fs.mkdirSync(path.join(dir, 'src'));
+        assert.deepEqual(TargetsMeta.findBrowserslistQueries(path.join(dir, 'src'), 'production'), [ 'ie 11' ]);
+        assert.deepEqual(TargetsMeta.findBrowserslistQueries(dir, 'development'), [ 'last 1 Chrome versions' ]);
+    });
+
+    it('ignores the browserslist configuration of the current directory', () => {
+        const cwd = process.cwd();
+        const dir = TemporaryFiles.createDirectory();
+        fs.writeFileSync(path.join(dir, '.browserslistrc'), 'last 1 Chrome versions\n');
+        try {
+            process.chdir(dir);
+            // Without any browsers, browserslist's defaults (which include IE) are used
+            assert.equal(TargetsMeta.doTargetsRequireES5({ node: 'current' }), true);
+        }
+        finally {
+            process.chdir(cwd);
+        }
+    });
+
 });
@@ -0,0 +1,66 @@
+/*
+ *  Copyright 2017 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ *
+ */
+
+/* global describe, it, afterEach */
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const TypeDeclarations = require('../../src/internal/TypeDeclarations');
+const TemporaryFiles = require('../helpers/TemporaryFiles');
+
+describe('TypeDeclarations', () => {
+
+    afterEach(() => TemporaryFiles.removeAll());
+
+    it('declares components as JSX elements and decorators as globals', () => {
+        const components = {
+            'my:component': { module: '@twist/core', export: 'MyComponent' },
+            'Button': { module: 'my-library', export: 'default' },
+            'item': { module: 'my-library', export: 'list-item' }
+        };
+        const decorators = {
+            Store: { module: '@twist/core', export: 'Store', inherits: { module: '@twist/core', export: 'BaseStore' } }
+        };
+
+        assert.equal(TypeDeclarations.generate(components, decorators), `\
+// Generated from the Twist configuration by "twist-config types" - don't edit it by hand.
+
+type TwistComponentProps<T> =
+    T extends new (props: infer P, ...args: any[]) => any ? P :
+    T extends (props: infer P, ...args: any[]) => any ? P :
+    any;
+
+declare const Button: typeof import("my-library").default;
+declare const Store: typeof import("@twist/core").Store;
+
+declare namespace JSX {
+    interface IntrinsicElements {
+        "my:component": TwistComponentProps<typeof import("@twist/core").MyComponent>;
+        "item": TwistComponentProps<(typeof import("my-library"))["list-item"]>;
+    }
+}
+`);
+    });
+
+    it('only writes the file if it changed', () => {
+        const file = path.join(TemporaryFiles.createDirectory(), 'twist.d.ts');
+        const decorators = { Store: { module: '@twist/core', export: 'Store' } };
+
+        assert.equal(TypeDeclarations.write(file, {}, decorators), true);
+        assert.equal(TypeDeclarations.write(file, {}, decorators), false);
+        assert.equal(fs.readFileSync(file, 'utf8'), TypeDeclarations.generate({}, decorators));
+        assert.equal(TypeDeclarations.write(file, {}, {}), true);
+    });
+
+});
@@ -0,0 +1,2 @@
+exports.Decorator1 = function Decorator1() {
+};